@@ -9,14 +9,91 @@
  * - 'global': Protection enabled for all sites
  */
 
+import '../shared/defaults.js';
+
+// Blocker modules in injection order. Each one is a file in src/content/modules/
+// and is only injected on sites whose profile enables it. A module with
+// `replaces` is an alternative implementation and wins over the one it names;
+// `optIn` modules are never part of the full profile.
+const BLOCKER_MODULES = {
+    scriptRewrite: { name: 'Script rewriting (XHR/fetch, inline & external scripts)', file: 'src/content/modules/script-rewrite.js' },
+    broadcastChannel: { name: 'BroadcastChannel stub', file: 'src/content/modules/broadcast-channel.js' },
+    broadcastChannelIsolation: {
+        name: 'BroadcastChannel single-tab illusion',
+        file: 'src/content/modules/broadcast-channel-isolation.js',
+        replaces: 'broadcastChannel'
+    },
+    antiDebug: { name: 'Function/eval anti-debugging', file: 'src/content/modules/anti-debug.js' },
+    devtoolsDetection: { name: 'DevTools detection neutralizing (size, console, timing)', file: 'src/content/modules/devtools-detection.js' },
+    workerProtection: { name: 'Worker & blob URL protection', file: 'src/content/modules/worker-protection.js' },
+    pageUnlock: { name: 'DevTools shortcuts & context menu unlock', file: 'src/content/modules/page-unlock.js' },
+    selectionUnlock: {
+        name: 'Text selection, copy & paste unlock',
+        file: 'src/content/modules/selection-unlock.js',
+        optIn: true
+    },
+    visibilitySpoof: {
+        name: 'Always visible & focused',
+        file: 'src/content/modules/visibility-spoof.js',
+        optIn: true
+    },
+    storageEvents: { name: 'Storage event blocking', file: 'src/content/modules/storage-events.js' },
+    tabCoordination: { name: 'Web Locks & SharedWorker isolation', file: 'src/content/modules/tab-coordination.js' },
+    navigationGuard: { name: 'Location & history guards', file: 'src/content/modules/navigation-guard.js' },
+    storageKeys: { name: 'Storage key filter (localStorage, cookies, IndexedDB)', file: 'src/content/modules/storage-keys.js' },
+    storageIsolation: {
+        name: 'Per-tab localStorage isolation',
+        file: 'src/content/modules/storage-isolation.js',
+        replaces: 'storageKeys'
+    }
+};
+
+// Protection profiles a site rule can select. 'custom' rules list their modules instead.
+const PROFILES = {
+    full: {
+        name: 'Full',
+        modules: Object.keys(BLOCKER_MODULES).filter(id => !BLOCKER_MODULES[id].replaces && !BLOCKER_MODULES[id].optIn)
+    },
+    multiTab: {
+        name: 'Multi-tab only',
+        modules: ['broadcastChannel', 'workerProtection', 'storageEvents', 'tabCoordination', 'navigationGuard', 'storageKeys']
+    },
+    singleTab: {
+        name: 'Single-tab illusion',
+        modules: ['broadcastChannelIsolation', 'workerProtection', 'storageEvents', 'tabCoordination', 'navigationGuard', 'storageKeys']
+    },
+    antiDebug: {
+        name: 'Anti-debug only',
+        modules: ['scriptRewrite', 'antiDebug', 'devtoolsDetection', 'workerProtection', 'pageUnlock']
+    }
+};
+const DEFAULT_PROFILE = 'full';
+const CUSTOM_PROFILE = 'custom';
+
+// Module ids used by older versions -> current id, for stored custom rules
+const RENAMED_MODULES = {
+    inputUnlock: 'pageUnlock'
+};
+
+// Identity providers that sites commonly hand off to for sign-in, trusted on
+// every site unless its rule opts out, and what the blocker treats as signs
+// of tab detection: settings.suspiciousLists holds the global lists, which
+// start as these; site rules can add and remove entries (see Suspicious
+// Lists below). Defined in src/shared/defaults.js, which every blocker
+// script starts with as well.
+const {
+    trustedDestinations: DEFAULT_TRUSTED_DESTINATIONS,
+    suspiciousLists: DEFAULT_SUSPICIOUS_LISTS
+} = self.__redirectBlockerDefaults__;
+
 // Default settings
 const DEFAULT_SETTINGS = {
     mode: 'specific',  // 'off' | 'specific' | 'global'
-    enabledSites: [],  // Sites where protection is active (used in 'specific' mode)
-    statistics: {
-        totalBlocked: 0,
-        blockedBySite: {}
-    }
+    enabledSites: [],  // Site rules where protection is active (used in 'specific' mode)
+    allowedTargets: {},  // hostname -> navigation targets (origin + path) the user always allows
+    suspiciousLists: DEFAULT_SUSPICIOUS_LISTS,  // Global paths, keys and channel names (see above)
+    learnedKeys: {},  // hostname -> localStorage keys detected as tab heartbeats
+    debugLogging: false  // Also print the blocker's logs in the page console
 };
 
 // ============================================
@@ -26,10 +103,14 @@ const DEFAULT_SETTINGS = {
 async function getSettings() {
     try {
         const result = await chrome.storage.local.get('settings');
-        return { ...DEFAULT_SETTINGS, ...result.settings };
+        // A copy, so callers mutating the settings never touch the defaults
+        const settings = { ...structuredClone(DEFAULT_SETTINGS), ...result.settings };
+        settings.enabledSites = settings.enabledSites.map(parseSiteRule).filter(Boolean);
+        settings.suspiciousLists = normalizeSuspiciousLists(settings.suspiciousLists);
+        return settings;
     } catch (error) {
         console.error('[RedirectBlocker] Failed to get settings:', error);
-        return DEFAULT_SETTINGS;
+        return structuredClone(DEFAULT_SETTINGS);
     }
 }
 
@@ -41,121 +122,1148 @@ async function saveSettings(settings) {
     }
 }
 
-// ============================================
-// Mode Management
-// ============================================
+// Every settings write goes through this queue, so concurrent updates (two
+// tabs learning a key, the options page saving a rule) never overwrite
+// each other
+let settingsUpdateQueue = Promise.resolve();
+
+/**
+ * Apply `update(settings)` to the stored settings and save them if it
+ * changed anything; resolves to whatever `update` returns
+ */
+function updateSettings(update) {
+    const result = settingsUpdateQueue.then(async () => {
+        const settings = await getSettings();
+        const before = JSON.stringify(settings);
+        const value = await update(settings);
+        if (JSON.stringify(settings) !== before) {
+            await saveSettings(settings);
+        }
+        return value;
+    });
+    settingsUpdateQueue = result.catch(error => {
+        console.error('[RedirectBlocker] Failed to update settings:', error);
+    });
+    return result;
+}
+
+// ============================================
+// Mode Management
+// ============================================
+
+async function setMode(mode) {
+    await updateSettings(settings => {
+        settings.mode = mode;
+    });
+    await syncContentScripts();
+    console.log(`[RedirectBlocker] Mode set to: ${mode}`);
+}
+
+// The blocker's logs always reach this console (via the bridge); the page
+// console only gets them while debugging, since pages can read it
+async function setDebugLogging(enabled) {
+    await updateSettings(settings => {
+        settings.debugLogging = Boolean(enabled);
+    });
+    await syncContentScripts();
+    console.log(`[RedirectBlocker] Page console logging ${enabled ? 'enabled' : 'disabled'}`);
+}
+
+// ============================================
+// Site Rules
+// ============================================
+
+/**
+ * Entries of enabledSites are site rules:
+ *   { host: 'example.com', includeSubdomains: false, path: '', profile: 'full' }
+ *
+ * A rule matches its host (plus any subdomain if includeSubdomains is set)
+ * and, if path is non-empty, only URLs at or below that path. Rules can also
+ * be written as strings: 'example.com', '*.example.com', 'example.com/dashboard/*'.
+ * Older versions stored plain hostnames, which parse into host-only rules.
+ * Rules with profile 'custom' carry their own list of enabled modules.
+ * trustedDestinations lists extra cross-origin redirect targets, in the same
+ * string syntax; useDefaultDestinations: false drops the built-in list.
+ * suspiciousLists holds the rule's { add, remove } changes to the global lists.
+ */
+function parseSiteRule(entry) {
+    if (entry && typeof entry === 'object') {
+        return normalizeSiteRule(entry);
+    }
+    if (typeof entry !== 'string') return null;
+
+    const value = entry.trim().replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+    const slash = value.indexOf('/');
+    return normalizeSiteRule({
+        host: slash === -1 ? value : value.slice(0, slash),
+        path: slash === -1 ? '' : value.slice(slash),
+        includeSubdomains: false
+    });
+}
+
+function normalizeSiteRule(rule) {
+    let host = String(rule.host || '').trim().toLowerCase().replace(/:\d+$/, '');
+    let includeSubdomains = Boolean(rule.includeSubdomains);
+    if (host.startsWith('*.')) {
+        host = host.slice(2);
+        includeSubdomains = true;
+    }
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(host)) return null;
+
+    // '/dashboard/*' and '/dashboard/' both mean "everything under /dashboard"
+    let path = String(rule.path || '').trim().replace(/\*+$/, '').replace(/\/+$/, '');
+    if (path && !path.startsWith('/')) path = '/' + path;
+
+    const normalized = { host, includeSubdomains, path, profile: DEFAULT_PROFILE };
+    if (rule.profile === CUSTOM_PROFILE && Array.isArray(rule.modules)) {
+        normalized.profile = CUSTOM_PROFILE;
+        normalized.modules = rule.modules
+            .map(id => RENAMED_MODULES[id] || id)
+            .filter(id => id in BLOCKER_MODULES);
+    } else if (rule.profile in PROFILES) {
+        normalized.profile = rule.profile;
+    }
+    if (rule.serverRedirectGuard) {
+        normalized.serverRedirectGuard = true;
+    }
+
+    const destinations = Array.isArray(rule.trustedDestinations)
+        ? normalizeDestinations(rule.trustedDestinations).valid
+        : [];
+    if (destinations.length > 0) {
+        normalized.trustedDestinations = destinations;
+    }
+    if (rule.useDefaultDestinations === false) {
+        normalized.useDefaultDestinations = false;
+    }
+
+    const listChanges = normalizeSuspiciousListChanges(rule.suspiciousLists).changes;
+    if (listChanges) {
+        normalized.suspiciousLists = listChanges;
+    }
+    return normalized;
+}
+
+/**
+ * Parse destination patterns into de-duplicated labels, collecting entries
+ * that are not valid site rule strings
+ */
+function normalizeDestinations(entries) {
+    const valid = new Set();
+    const invalid = [];
+    for (const entry of entries) {
+        const destination = typeof entry === 'string' ? parseSiteRule(entry) : null;
+        if (destination) {
+            valid.add(formatSiteRule(destination));
+        } else {
+            invalid.push(entry);
+        }
+    }
+    return { valid: [...valid], invalid };
+}
+
+function formatSiteRule(rule) {
+    return `${rule.includeSubdomains ? '*.' : ''}${rule.host}${rule.path ? rule.path + '/*' : ''}`;
+}
+
+function matchesSiteRule(rule, url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+
+    const hostname = parsed.hostname.toLowerCase();
+    const hostMatches = hostname === rule.host ||
+        (rule.includeSubdomains && hostname.endsWith('.' + rule.host));
+    const pathMatches = !rule.path ||
+        parsed.pathname === rule.path ||
+        parsed.pathname.startsWith(rule.path + '/');
+
+    return hostMatches && pathMatches;
+}
+
+/**
+ * Most specific rule matching the URL (exact host and longer paths win)
+ */
+function findSiteRule(rules, url) {
+    let best = null;
+    for (const rule of rules) {
+        if (!matchesSiteRule(rule, url)) continue;
+        if (!best || getRuleSpecificity(rule) > getRuleSpecificity(best)) {
+            best = rule;
+        }
+    }
+    return best;
+}
+
+function getRuleSpecificity(rule) {
+    return (rule.includeSubdomains ? 0 : 1000) + rule.host.length + rule.path.length;
+}
+
+/**
+ * Whether every URL matched by `inner` is also matched by `outer`
+ */
+function coversSiteRule(outer, inner) {
+    const hostCovered = inner.host === outer.host ||
+        (outer.includeSubdomains && inner.host.endsWith('.' + outer.host));
+    const pathCovered = !outer.path ||
+        inner.path === outer.path ||
+        inner.path.startsWith(outer.path + '/');
+    return hostCovered && pathCovered && (outer.includeSubdomains || !inner.includeSubdomains);
+}
+
+function findSiteRuleByLabel(rules, label) {
+    return rules.find(rule => formatSiteRule(rule) === label) || null;
+}
+
+/**
+ * Combine rule lists, dropping duplicates (rules from `incoming` win)
+ */
+function mergeSiteRules(existing, incoming) {
+    const merged = new Map();
+    for (const rule of [...existing, ...incoming]) {
+        merged.set(formatSiteRule(rule), rule);
+    }
+    return [...merged.values()];
+}
+
+function describeSiteRule(rule) {
+    return { ...rule, label: formatSiteRule(rule), modules: getRuleModules(rule) };
+}
+
+// ============================================
+// Protection Profiles
+// ============================================
+
+/**
+ * Modules enabled for a site rule (or the default profile when no rule
+ * matches, e.g. in 'global' mode), in injection order
+ */
+function getRuleModules(rule) {
+    const enabled = rule && rule.profile === CUSTOM_PROFILE
+        ? rule.modules
+        : (PROFILES[rule?.profile] || PROFILES[DEFAULT_PROFILE]).modules;
+    const replaced = enabled.map(id => BLOCKER_MODULES[id]?.replaces).filter(Boolean);
+    return Object.keys(BLOCKER_MODULES).filter(id => enabled.includes(id) && !replaced.includes(id));
+}
+
+/**
+ * Set the profile of the rule matching `url`, or of the rule labelled `label`
+ */
+async function setSiteProfile({ url, label }, profile, modules = []) {
+    if (profile !== CUSTOM_PROFILE && !(profile in PROFILES)) return false;
+
+    const rule = await updateSettings(settings => {
+        const rule = label
+            ? findSiteRuleByLabel(settings.enabledSites, label)
+            : findSiteRule(settings.enabledSites, url);
+        if (!rule) return null;
+
+        rule.profile = profile;
+        if (profile === CUSTOM_PROFILE) {
+            rule.modules = modules.filter(id => id in BLOCKER_MODULES);
+        } else {
+            delete rule.modules;
+        }
+        return rule;
+    });
+    if (!rule) return false;
+
+    await syncContentScripts();
+    console.log(`[RedirectBlocker] Profile for ${formatSiteRule(rule)} set to: ${profile}`);
+    return true;
+}
+
+/**
+ * Turn the server redirect guard (see below) on or off for the rule
+ * matching `url`, or the rule labelled `label`
+ */
+async function setServerRedirectGuard({ url, label }, enabled) {
+    const rule = await updateSettings(settings => {
+        const rule = label
+            ? findSiteRuleByLabel(settings.enabledSites, label)
+            : findSiteRule(settings.enabledSites, url);
+        if (!rule) return null;
+
+        if (enabled) {
+            rule.serverRedirectGuard = true;
+        } else {
+            delete rule.serverRedirectGuard;
+        }
+        return rule;
+    });
+    if (!rule) return false;
+
+    console.log(`[RedirectBlocker] Server redirect guard for ${formatSiteRule(rule)}: ${enabled ? 'on' : 'off'}`);
+    return true;
+}
+
+/**
+ * Replace the trusted destinations of the rule matching `url`, or the rule
+ * labelled `label`. Nothing is saved if any entry is invalid.
+ */
+async function setTrustedDestinations({ url, label }, entries, useDefaults = true) {
+    const { valid, invalid } = normalizeDestinations(entries);
+    if (invalid.length > 0) {
+        return { success: false, error: `Invalid destinations: ${invalid.join(', ')}`, invalid };
+    }
+
+    const rule = await updateSettings(settings => {
+        const rule = label
+            ? findSiteRuleByLabel(settings.enabledSites, label)
+            : findSiteRule(settings.enabledSites, url);
+        if (!rule) return null;
+
+        if (valid.length > 0) {
+            rule.trustedDestinations = valid;
+        } else {
+            delete rule.trustedDestinations;
+        }
+        if (useDefaults) {
+            delete rule.useDefaultDestinations;
+        } else {
+            rule.useDefaultDestinations = false;
+        }
+        return rule;
+    });
+    if (!rule) return { success: false, error: 'Site is not in the list' };
+
+    console.log(`[RedirectBlocker] Trusted destinations for ${formatSiteRule(rule)}: ${valid.length} custom, defaults ${useDefaults ? 'on' : 'off'}`);
+    return { success: true };
+}
+
+/**
+ * Destinations a page may be redirected to cross-origin, as
+ * { host, includeSubdomains, path } (the same matching as site rules)
+ */
+function getTrustedDestinations(rule) {
+    const labels = [
+        ...(rule?.useDefaultDestinations === false ? [] : DEFAULT_TRUSTED_DESTINATIONS),
+        ...(rule?.trustedDestinations || [])
+    ];
+    return labels.map(parseSiteRule).filter(Boolean)
+        .map(({ host, includeSubdomains, path }) => ({ host, includeSubdomains, path }));
+}
+
+// ============================================
+// Suspicious Lists
+// ============================================
+
+const SUSPICIOUS_LIST_NAMES = Object.keys(DEFAULT_SUSPICIOUS_LISTS);
+const SUSPICIOUS_LIST_LABELS = { paths: 'paths', keys: 'keys', channels: 'channel names' };
+
+function normalizeSuspiciousEntry(list, entry) {
+    if (typeof entry !== 'string') return null;
+    const value = entry.trim();
+    if (!value) return null;
+
+    switch (list) {
+        case 'paths': {
+            if (/[\s?#]/.test(value)) return null;
+            const path = (value.startsWith('/') ? value : '/' + value).replace(/\/+$/, '');
+            return path || '/';
+        }
+        case 'keys':
+            // Nothing left to match would match every key
+            return value.replace(/^=/, '').replace(/[-_]/g, '') ? value.toLowerCase() : null;
+        default:
+            return value;
+    }
+}
+
+/**
+ * Normalize the entries of one list, dropping duplicates and collecting
+ * entries that are not valid
+ */
+function normalizeSuspiciousList(list, entries) {
+    const valid = new Set();
+    const invalid = [];
+    for (const entry of entries) {
+        const value = normalizeSuspiciousEntry(list, entry);
+        if (value) {
+            valid.add(value);
+        } else {
+            invalid.push(entry);
+        }
+    }
+    return { valid: [...valid], invalid };
+}
+
+// Global lists; missing ones fall back to the defaults
+function normalizeSuspiciousLists(lists) {
+    return Object.fromEntries(SUSPICIOUS_LIST_NAMES.map(list => [
+        list,
+        Array.isArray(lists?.[list])
+            ? normalizeSuspiciousList(list, lists[list]).valid
+            : DEFAULT_SUSPICIOUS_LISTS[list]
+    ]));
+}
+
+/**
+ * A rule's changes to the global lists: { paths: { add, remove }, ... },
+ * keeping only non-empty parts (changes is null when nothing is left)
+ */
+function normalizeSuspiciousListChanges(changes) {
+    const normalized = {};
+    const invalid = [];
+    for (const list of SUSPICIOUS_LIST_NAMES) {
+        for (const part of ['add', 'remove']) {
+            const entries = changes?.[list]?.[part];
+            if (!Array.isArray(entries)) continue;
+
+            const result = normalizeSuspiciousList(list, entries);
+            invalid.push(...result.invalid.map(entry => `${SUSPICIOUS_LIST_LABELS[list]}: ${entry}`));
+            if (result.valid.length > 0) {
+                normalized[list] = { ...normalized[list], [part]: result.valid };
+            }
+        }
+    }
+    return { changes: Object.keys(normalized).length > 0 ? normalized : null, invalid };
+}
+
+/**
+ * The lists that apply to a rule (or to sites without one): the global
+ * lists minus the rule's removals, plus its additions
+ */
+function resolveSuspiciousLists(settings, rule) {
+    return Object.fromEntries(SUSPICIOUS_LIST_NAMES.map(list => {
+        const { add = [], remove = [] } = rule?.suspiciousLists?.[list] || {};
+        const entries = settings.suspiciousLists[list].filter(entry => !remove.includes(entry));
+        return [list, [...new Set([...entries, ...add])]];
+    }));
+}
+
+/**
+ * Replace the global lists. Nothing is saved if any entry is invalid.
+ */
+async function setSuspiciousLists(lists) {
+    const normalized = {};
+    const invalid = [];
+    for (const list of SUSPICIOUS_LIST_NAMES) {
+        const result = normalizeSuspiciousList(list, Array.isArray(lists?.[list]) ? lists[list] : []);
+        normalized[list] = result.valid;
+        invalid.push(...result.invalid.map(entry => `${SUSPICIOUS_LIST_LABELS[list]}: ${entry}`));
+    }
+    if (invalid.length > 0) {
+        return { success: false, error: `Invalid entries (${invalid.join(', ')})`, invalid };
+    }
+
+    await updateSettings(settings => {
+        settings.suspiciousLists = normalized;
+    });
+    console.log('[RedirectBlocker] Global suspicious lists updated');
+    return { success: true };
+}
+
+/**
+ * Replace the list changes of the rule matching `url`, or the rule labelled
+ * `label`. Nothing is saved if any entry is invalid.
+ */
+async function setSiteSuspiciousLists({ url, label }, changes) {
+    const { changes: normalized, invalid } = normalizeSuspiciousListChanges(changes);
+    if (invalid.length > 0) {
+        return { success: false, error: `Invalid entries (${invalid.join(', ')})`, invalid };
+    }
+
+    const rule = await updateSettings(settings => {
+        const rule = label
+            ? findSiteRuleByLabel(settings.enabledSites, label)
+            : findSiteRule(settings.enabledSites, url);
+        if (!rule) return null;
+
+        if (normalized) {
+            rule.suspiciousLists = normalized;
+        } else {
+            delete rule.suspiciousLists;
+        }
+        return rule;
+    });
+    if (!rule) return { success: false, error: 'Site is not in the list' };
+
+    console.log(`[RedirectBlocker] Suspicious lists for ${formatSiteRule(rule)} ${normalized ? 'customized' : 'reset'}`);
+    return { success: true };
+}
+
+// ============================================
+// Per-Site Management (for 'specific' mode)
+// ============================================
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname;
+    } catch {
+        return null;
+    }
+}
+
+async function getMatchingSiteRule(url) {
+    const settings = await getSettings();
+    return findSiteRule(settings.enabledSites, url);
+}
+
+async function isSiteEnabled(url) {
+    return Boolean(await getMatchingSiteRule(url));
+}
+
+async function enableForSite(url, options = {}) {
+    const hostname = getHostname(url);
+    if (!hostname) return false;
+
+    const rule = normalizeSiteRule({ host: hostname, includeSubdomains: options.includeSubdomains });
+    if (!rule) return false;
+
+    const label = formatSiteRule(rule);
+    const added = await updateSettings(settings => {
+        if (settings.enabledSites.some(existing => formatSiteRule(existing) === label)) return false;
+        settings.enabledSites.push(rule);
+        return true;
+    });
+    if (added) {
+        await syncContentScripts();
+        console.log(`[RedirectBlocker] Enabled for site: ${label}`);
+        return true;
+    }
+    return false;
+}
+
+async function disableForSite(url) {
+    const rule = await updateSettings(settings => {
+        const rule = findSiteRule(settings.enabledSites, url);
+        if (rule) settings.enabledSites.splice(settings.enabledSites.indexOf(rule), 1);
+        return rule;
+    });
+    if (rule) {
+        await syncContentScripts();
+        console.log(`[RedirectBlocker] Disabled for site: ${formatSiteRule(rule)}`);
+        return true;
+    }
+    return false;
+}
+
+// ============================================
+// Site List Management (options page)
+// ============================================
+
+async function addSiteRule(entry, profile = DEFAULT_PROFILE) {
+    const rule = parseSiteRule(entry);
+    if (!rule) return { success: false, error: 'Invalid site rule' };
+    if (profile in PROFILES) rule.profile = profile;
+
+    const label = formatSiteRule(rule);
+    const added = await updateSettings(settings => {
+        if (findSiteRuleByLabel(settings.enabledSites, label)) return false;
+        settings.enabledSites.push(rule);
+        return true;
+    });
+    if (!added) {
+        return { success: false, error: `${label} is already in the list` };
+    }
+
+    await syncContentScripts();
+    console.log(`[RedirectBlocker] Added site rule: ${label}`);
+    return { success: true };
+}
+
+async function removeSiteRule(label) {
+    const removed = await updateSettings(settings => {
+        const rule = findSiteRuleByLabel(settings.enabledSites, label);
+        if (!rule) return false;
+        settings.enabledSites.splice(settings.enabledSites.indexOf(rule), 1);
+        return true;
+    });
+    if (!removed) return { success: false, error: `${label} is not in the list` };
+
+    await syncContentScripts();
+    console.log(`[RedirectBlocker] Removed site rule: ${label}`);
+    return { success: true };
+}
+
+/**
+ * Replace the whole list (bulk edit). Entries that match an existing rule
+ * keep its profile. Nothing is saved if any entry is invalid.
+ */
+async function setSiteRules(entries) {
+    const parsed = entries.map(parseSiteRule);
+    const invalid = entries.filter((entry, i) => !parsed[i]);
+    if (invalid.length > 0) {
+        return { success: false, error: `Invalid site rules: ${invalid.join(', ')}`, invalid };
+    }
+
+    const count = await updateSettings(settings => {
+        const rules = parsed.map(rule =>
+            findSiteRuleByLabel(settings.enabledSites, formatSiteRule(rule)) || rule);
+        settings.enabledSites = mergeSiteRules([], rules);
+        return settings.enabledSites.length;
+    });
+    await syncContentScripts();
+    console.log(`[RedirectBlocker] Site list replaced (${count} rules)`);
+    return { success: true };
+}
+
+// ============================================
+// Import / Export
+// ============================================
+
+const SETTINGS_EXPORT_FORMAT = 'redirect-blocker-settings';
+const SETTINGS_EXPORT_VERSION = 1;
+const MODES = ['off', 'specific', 'global'];
+
+// Statistics stay out of exports: they are local, and list the sites visited
+async function exportSettings() {
+    const { mode, enabledSites, suspiciousLists, allowedTargets, learnedKeys } = await getSettings();
+    return {
+        format: SETTINGS_EXPORT_FORMAT,
+        version: SETTINGS_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: { mode, enabledSites, suspiciousLists, allowedTargets, learnedKeys }
+    };
+}
+
+/**
+ * Validate a hostname -> list map (allowedTargets, learnedKeys) of an export
+ * file; `normalize` returns an entry's stored form, or null if it is invalid.
+ * Returns undefined when absent and null when invalid.
+ */
+function parseHostnameLists(lists, normalize) {
+    if (lists === undefined) return undefined;
+    if (!lists || typeof lists !== 'object' || Array.isArray(lists)) return null;
+
+    const parsed = {};
+    for (const [hostname, entries] of Object.entries(lists)) {
+        if (!Array.isArray(entries)) return null;
+        const normalized = entries.map(normalize);
+        if (normalized.includes(null)) return null;
+        if (normalized.length > 0) parsed[hostname] = [...new Set(normalized)];
+    }
+    return parsed;
+}
+
+// Per hostname, the entries of `current` followed by the new ones of `imported`
+function mergeHostnameLists(current, imported, limit = Infinity) {
+    const merged = { ...current };
+    for (const [hostname, entries] of Object.entries(imported)) {
+        merged[hostname] = [...new Set([...(current[hostname] || []), ...entries])].slice(0, limit);
+    }
+    return merged;
+}
+
+/**
+ * Validate an export file; returns the importable settings or an error
+ */
+function validateSettingsExport(data) {
+    if (!data || typeof data !== 'object' || data.format !== SETTINGS_EXPORT_FORMAT) {
+        return { error: 'Not a Redirect Blocker settings file' };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        return { error: 'Missing or invalid version' };
+    }
+    if (data.version > SETTINGS_EXPORT_VERSION) {
+        return { error: `Settings version ${data.version} is newer than this extension supports` };
+    }
+
+    const imported = data.settings;
+    if (!imported || typeof imported !== 'object') {
+        return { error: 'Missing settings object' };
+    }
+    if (imported.mode !== undefined && !MODES.includes(imported.mode)) {
+        return { error: `Invalid mode: ${imported.mode}` };
+    }
+    if (imported.enabledSites !== undefined && !Array.isArray(imported.enabledSites)) {
+        return { error: 'enabledSites must be a list' };
+    }
+
+    const enabledSites = [];
+    for (const entry of imported.enabledSites || []) {
+        const rule = parseSiteRule(entry);
+        if (!rule) {
+            return { error: `Invalid site rule: ${JSON.stringify(entry)}` };
+        }
+        enabledSites.push(rule);
+    }
+
+    if (imported.suspiciousLists !== undefined &&
+        (!imported.suspiciousLists || typeof imported.suspiciousLists !== 'object')) {
+        return { error: 'suspiciousLists must be an object' };
+    }
+
+    const allowedTargets = parseHostnameLists(imported.allowedTargets, toAllowedTarget);
+    if (allowedTargets === null) {
+        return { error: 'allowedTargets must map hostnames to lists of URLs' };
+    }
+    const learnedKeys = parseHostnameLists(imported.learnedKeys, key => (typeof key === 'string' && key ? key : null));
+    if (learnedKeys === null) {
+        return { error: 'learnedKeys must map hostnames to lists of keys' };
+    }
+
+    return {
+        settings: {
+            mode: imported.mode,
+            enabledSites,
+            suspiciousLists: imported.suspiciousLists && normalizeSuspiciousLists(imported.suspiciousLists),
+            allowedTargets,
+            learnedKeys: learnedKeys && mergeHostnameLists({}, learnedKeys, MAX_LEARNED_KEYS_PER_SITE)
+        }
+    };
+}
+
+/**
+ * Import settings. 'merge' adds the imported sites, allowed targets and
+ * learned keys to the current ones and keeps the current mode; 'replace'
+ * takes mode, sites, the global suspicious lists, allowed targets and
+ * learned keys from the file.
+ * Statistics are always kept.
+ */
+async function importSettings(data, strategy = 'merge') {
+    const { settings: imported, error } = validateSettingsExport(data);
+    if (error) return { success: false, error };
+
+    const siteCount = await updateSettings(settings => {
+        if (strategy === 'replace') {
+            settings.mode = imported.mode || settings.mode;
+            settings.enabledSites = mergeSiteRules([], imported.enabledSites);
+            settings.suspiciousLists = imported.suspiciousLists || settings.suspiciousLists;
+            settings.allowedTargets = imported.allowedTargets || settings.allowedTargets;
+            settings.learnedKeys = imported.learnedKeys || settings.learnedKeys;
+        } else {
+            settings.enabledSites = mergeSiteRules(settings.enabledSites, imported.enabledSites);
+            settings.allowedTargets = mergeHostnameLists(settings.allowedTargets, imported.allowedTargets || {});
+            settings.learnedKeys = mergeHostnameLists(settings.learnedKeys, imported.learnedKeys || {}, MAX_LEARNED_KEYS_PER_SITE);
+        }
+        return settings.enabledSites.length;
+    });
+
+    await syncContentScripts();
+    console.log(`[RedirectBlocker] Settings imported (${strategy})`);
+    return { success: true, siteCount };
+}
+
+// ============================================
+// Protection Check
+// ============================================
+
+async function shouldProtect(url) {
+    const settings = await getSettings();
+
+    switch (settings.mode) {
+        case 'off':
+            return false;
+        case 'global':
+            return true;
+        case 'specific':
+            return await isSiteEnabled(url);
+        default:
+            return false;
+    }
+}
+
+// ============================================
+// Learned Heartbeat Keys
+// ============================================
+
+// Cap per site so a misbehaving page cannot grow the settings without bound
+const MAX_LEARNED_KEYS_PER_SITE = 50;
+
+// A key is only learned once it was detected on this many page loads, so a
+// one-off (say, an autosave that happened to tick at a steady interval) isn't
+// blocked on every later visit. Detections expire after 30 days.
+const LEARNED_KEY_MIN_DETECTIONS = 3;
+const LEARNED_KEY_DETECTION_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Kept under its own storage key, like the statistics:
+// hostname -> key -> { documents: [ids of the pages that detected it], lastSeen }
+const KEY_DETECTIONS_STORAGE_KEY = 'keyDetections';
+
+let keyDetectionsQueue = Promise.resolve();
+
+/**
+ * Record that a page detected `key` and return the number of page loads
+ * that have, or null when it is learned now (and no longer tracked)
+ */
+function recordKeyDetection(hostname, key, documentId) {
+    const result = keyDetectionsQueue.then(async () => {
+        const stored = await chrome.storage.local.get(KEY_DETECTIONS_STORAGE_KEY);
+        const detections = stored[KEY_DETECTIONS_STORAGE_KEY] || {};
+        const now = Date.now();
+
+        // Forget stale evidence everywhere, not just on this site
+        for (const [site, keys] of Object.entries(detections)) {
+            for (const [name, detection] of Object.entries(keys)) {
+                if (now - detection.lastSeen > LEARNED_KEY_DETECTION_TTL) delete keys[name];
+            }
+            if (Object.keys(keys).length === 0) delete detections[site];
+        }
+
+        const keys = detections[hostname] || {};
+        const detection = keys[key] || { documents: [] };
+        if (!keys[key] && Object.keys(keys).length >= MAX_LEARNED_KEYS_PER_SITE) return 0;
+        if (!detection.documents.includes(documentId)) {
+            detection.documents = [...detection.documents, documentId];
+        }
+        detection.lastSeen = now;
+
+        const count = detection.documents.length;
+        if (count >= LEARNED_KEY_MIN_DETECTIONS) {
+            delete keys[key];
+        } else {
+            keys[key] = detection;
+        }
+        if (Object.keys(keys).length > 0) {
+            detections[hostname] = keys;
+        } else {
+            delete detections[hostname];
+        }
+        await chrome.storage.local.set({ [KEY_DETECTIONS_STORAGE_KEY]: detections });
+        return count >= LEARNED_KEY_MIN_DETECTIONS ? null : count;
+    });
+    keyDetectionsQueue = result.catch(error => {
+        console.error('[RedirectBlocker] Failed to record key detection:', error);
+    });
+    return result;
+}
+
+/**
+ * Remember a localStorage key the storage key filter detected as a tab
+ * heartbeat, so it is blocked from the start on later visits, once enough
+ * page loads have detected it
+ */
+async function addLearnedKey(pageUrl, key, reason, documentId) {
+    const hostname = getHostname(pageUrl);
+    if (!hostname || typeof key !== 'string' || !key) return false;
+
+    const detections = await recordKeyDetection(hostname, key, documentId);
+    if (detections !== null) {
+        console.log(`[RedirectBlocker] Heartbeat key "${key}" on ${hostname} detected on ${detections} of ${LEARNED_KEY_MIN_DETECTIONS} page loads`);
+        return false;
+    }
+
+    const added = await updateSettings(settings => {
+        const keys = settings.learnedKeys[hostname] || [];
+        if (keys.includes(key) || keys.length >= MAX_LEARNED_KEYS_PER_SITE) return false;
+
+        settings.learnedKeys = { ...settings.learnedKeys, [hostname]: [...keys, key] };
+        return true;
+    });
+    if (added) {
+        console.log(`[RedirectBlocker] Learned heartbeat key "${key}" on ${hostname} (${reason || 'unknown'})`);
+    }
+    return added;
+}
+
+async function removeLearnedKey(hostname, key) {
+    return updateSettings(settings => {
+        const keys = settings.learnedKeys[hostname];
+        if (!keys || !keys.includes(key)) return false;
+
+        const remaining = keys.filter(k => k !== key);
+        settings.learnedKeys = { ...settings.learnedKeys, [hostname]: remaining };
+        if (remaining.length === 0) delete settings.learnedKeys[hostname];
+        return true;
+    });
+}
+
+// ============================================
+// Allowed Navigation Targets
+// ============================================
+
+// Targets are stored as origin + path
+function toAllowedTarget(target) {
+    try {
+        const targetUrl = new URL(target);
+        return targetUrl.origin + targetUrl.pathname;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Remember a blocked navigation target the user chose to always allow
+ * ("Always allow on this site" in the in-page notice)
+ */
+async function addAllowedTarget(pageUrl, target) {
+    const hostname = getHostname(pageUrl);
+    const key = toAllowedTarget(target);
+    if (!hostname || !key) return false;
+
+    const added = await updateSettings(settings => {
+        const targets = settings.allowedTargets[hostname] || [];
+        if (targets.includes(key)) return false;
+
+        settings.allowedTargets = { ...settings.allowedTargets, [hostname]: [...targets, key] };
+        return true;
+    });
+    if (added) console.log(`[RedirectBlocker] Always allowing ${key} on ${hostname}`);
+    return added;
+}
+
+/**
+ * Configuration of the pages a rule matches (default settings without a rule)
+ */
+function getRuleConfig(settings, rule) {
+    return {
+        mode: settings.mode,
+        profile: rule ? rule.profile : DEFAULT_PROFILE,
+        modules: getRuleModules(rule),
+        trustedDestinations: getTrustedDestinations(rule),
+        suspiciousLists: resolveSuspiciousLists(settings, rule),
+        debugLogging: settings.debugLogging
+    };
+}
+
+/**
+ * The per-hostname part of the configuration
+ */
+function getHostConfig(settings, hostname) {
+    return {
+        allowedTargets: settings.allowedTargets[hostname] || [],
+        learnedKeys: settings.learnedKeys[hostname] || []
+    };
+}
+
+/**
+ * Configuration pushed to blocker.js (via the bridge) for a page
+ */
+async function getPageConfig(url) {
+    const settings = await getSettings();
+    const rule = findSiteRule(settings.enabledSites, url);
+    return {
+        ...getRuleConfig(settings, rule),
+        protect: await shouldProtect(url),
+        ...getHostConfig(settings, getHostname(url))
+    };
+}
+
+// ============================================
+// Statistics
+// ============================================
+
+// Kept under its own storage key: counting a block must not rewrite settings,
+// which every open page and the options page reload on change
+const STATS_STORAGE_KEY = 'statistics';
+
+// Queue for atomic stats updates to prevent race conditions
+let statsUpdateQueue = Promise.resolve();
+
+async function getStatistics() {
+    const result = await chrome.storage.local.get(STATS_STORAGE_KEY);
+    return { totalBlocked: 0, blockedBySite: {}, ...result[STATS_STORAGE_KEY] };
+}
+
+function updateStatistics(update) {
+    // Chain updates to prevent race conditions when multiple tabs block simultaneously
+    statsUpdateQueue = statsUpdateQueue.then(async () => {
+        const statistics = await getStatistics();
+        update(statistics);
+        await chrome.storage.local.set({ [STATS_STORAGE_KEY]: statistics });
+    }).catch(error => {
+        console.error('[RedirectBlocker] Failed to update stats:', error);
+    });
+
+    return statsUpdateQueue;
+}
+
+async function incrementBlockedCount(url) {
+    const hostname = getHostname(url) || 'unknown';
+    return updateStatistics(statistics => {
+        statistics.totalBlocked++;
+        statistics.blockedBySite[hostname] = (statistics.blockedBySite[hostname] || 0) + 1;
+    });
+}
+
+async function resetStatistics() {
+    return updateStatistics(statistics => {
+        statistics.totalBlocked = 0;
+        statistics.blockedBySite = {};
+    });
+}
+
+/**
+ * Older versions kept statistics inside settings; move them to their own key
+ */
+async function migrateStatistics() {
+    const { statistics: legacy } = await getSettings();
+    if (!legacy) return;
 
-async function setMode(mode) {
-    const settings = await getSettings();
-    settings.mode = mode;
-    await saveSettings(settings);
-    console.log(`[RedirectBlocker] Mode set to: ${mode}`);
+    await updateStatistics(statistics => {
+        statistics.totalBlocked += legacy.totalBlocked || 0;
+        for (const [hostname, count] of Object.entries(legacy.blockedBySite || {})) {
+            statistics.blockedBySite[hostname] = (statistics.blockedBySite[hostname] || 0) + count;
+        }
+    });
+    await updateSettings(settings => {
+        delete settings.statistics;
+    });
+    console.log('[RedirectBlocker] Statistics moved out of settings');
 }
 
 // ============================================
-// Per-Site Management (for 'specific' mode)
+// Blocked Event History
 // ============================================
 
-function getHostname(url) {
-    try {
-        return new URL(url).hostname;
-    } catch {
-        return null;
+// Kept under its own storage key so frequent writes don't touch settings
+const EVENTS_STORAGE_KEY = 'blockedEvents';
+const MAX_STORED_EVENTS = 2000;
+const EVENT_FLUSH_DELAY = 1000;
+
+// Events are buffered briefly so debugger loops don't cause a write per event
+let pendingEvents = [];
+let eventFlushTimer = null;
+let eventsUpdateQueue = Promise.resolve();
+
+/**
+ * Record a blocked action reported by a content script
+ */
+function recordBlockedEvent(message, sender) {
+    pendingEvents.push({
+        timestamp: Date.now(),
+        tabId: sender.tab?.id ?? null,
+        frameId: sender.frameId ?? null,
+        hostname: getHostname(message.url) || 'unknown',
+        url: message.url || null,
+        mechanism: message.mechanism || 'unknown',
+        target: message.target || '',
+        action: message.action || 'blocked'
+    });
+
+    if (!eventFlushTimer) {
+        eventFlushTimer = setTimeout(flushBlockedEvents, EVENT_FLUSH_DELAY);
     }
 }
 
-async function isSiteEnabled(url) {
-    const hostname = getHostname(url);
-    if (!hostname) return false;
+async function flushBlockedEvents() {
+    clearTimeout(eventFlushTimer);
+    eventFlushTimer = null;
 
-    const settings = await getSettings();
-    return settings.enabledSites.includes(hostname);
-}
+    eventsUpdateQueue = eventsUpdateQueue.then(async () => {
+        if (pendingEvents.length === 0) return;
+        const batch = pendingEvents;
+        pendingEvents = [];
 
-async function enableForSite(url) {
-    const hostname = getHostname(url);
-    if (!hostname) return false;
+        const result = await chrome.storage.local.get(EVENTS_STORAGE_KEY);
+        const events = (result[EVENTS_STORAGE_KEY] || []).concat(batch).slice(-MAX_STORED_EVENTS);
+        await chrome.storage.local.set({ [EVENTS_STORAGE_KEY]: events });
+    }).catch(error => {
+        console.error('[RedirectBlocker] Failed to store blocked events:', error);
+    });
 
-    const settings = await getSettings();
-    if (!settings.enabledSites.includes(hostname)) {
-        settings.enabledSites.push(hostname);
-        await saveSettings(settings);
-        console.log(`[RedirectBlocker] Enabled for site: ${hostname}`);
-        return true;
+    return eventsUpdateQueue;
+}
+
+function matchesEventFilter(event, filter) {
+    if (filter.hostname && event.hostname !== filter.hostname) return false;
+    if (filter.tabId !== undefined && event.tabId !== filter.tabId) return false;
+    if (filter.mechanism && event.mechanism !== filter.mechanism) return false;
+    if (filter.action && event.action !== filter.action) return false;
+    if (filter.since && event.timestamp < filter.since) return false;
+    if (filter.until && event.timestamp > filter.until) return false;
+    if (filter.search) {
+        const search = filter.search.toLowerCase();
+        return [event.hostname, event.mechanism, event.target, event.url]
+            .some(value => value && value.toLowerCase().includes(search));
     }
-    return false;
+    return true;
 }
 
-async function disableForSite(url) {
-    const hostname = getHostname(url);
-    if (!hostname) return false;
+/**
+ * Query the history, newest first.
+ * filter: { hostname, tabId, mechanism, action, since, until, search }
+ */
+async function getBlockedEvents(filter = {}, { limit = 100, offset = 0 } = {}) {
+    await flushBlockedEvents();
+    const result = await chrome.storage.local.get(EVENTS_STORAGE_KEY);
+    const matching = (result[EVENTS_STORAGE_KEY] || [])
+        .filter(event => matchesEventFilter(event, filter))
+        .reverse();
 
-    const settings = await getSettings();
-    const index = settings.enabledSites.indexOf(hostname);
-    if (index > -1) {
-        settings.enabledSites.splice(index, 1);
-        await saveSettings(settings);
-        console.log(`[RedirectBlocker] Disabled for site: ${hostname}`);
-        return true;
-    }
-    return false;
+    return {
+        total: matching.length,
+        events: matching.slice(offset, offset + limit),
+        mechanisms: [...new Set(matching.map(event => event.mechanism))].sort()
+    };
 }
 
-// ============================================
-// Protection Check
-// ============================================
+/**
+ * Clear the history, or only the events matching `filter`
+ */
+async function clearBlockedEvents(filter = null) {
+    await flushBlockedEvents();
 
-async function shouldProtect(url) {
-    const settings = await getSettings();
+    eventsUpdateQueue = eventsUpdateQueue.then(async () => {
+        if (!filter) {
+            await chrome.storage.local.remove(EVENTS_STORAGE_KEY);
+            return;
+        }
+        const result = await chrome.storage.local.get(EVENTS_STORAGE_KEY);
+        const remaining = (result[EVENTS_STORAGE_KEY] || []).filter(event => !matchesEventFilter(event, filter));
+        await chrome.storage.local.set({ [EVENTS_STORAGE_KEY]: remaining });
+    }).catch(error => {
+        console.error('[RedirectBlocker] Failed to clear blocked events:', error);
+    });
 
-    switch (settings.mode) {
-        case 'off':
-            return false;
-        case 'global':
-            return true;
-        case 'specific':
-            return await isSiteEnabled(url);
-        default:
-            return false;
-    }
+    return eventsUpdateQueue;
 }
 
 // ============================================
-// Statistics
+// Tab Tokens
 // ============================================
 
-// Queue for atomic stats updates to prevent race conditions
-let statsUpdateQueue = Promise.resolve();
+// The frames of a tab (and their workers) find each other through a random
+// token per tab. Tab ids would do, but they are sequential: the page could
+// enumerate other tabs' lock and channel names and tell the extension is there.
+// Kept in session storage, which outlives service worker restarts.
+const TAB_TOKENS_STORAGE_KEY = 'tabTokens';
 
-async function incrementBlockedCount(url) {
-    // Chain updates to prevent race conditions when multiple tabs block simultaneously
-    statsUpdateQueue = statsUpdateQueue.then(async () => {
-        const hostname = getHostname(url) || 'unknown';
-        const settings = await getSettings();
+// tabId -> token
+let tabTokensLoad = null;
 
-        settings.statistics.totalBlocked++;
-        settings.statistics.blockedBySite[hostname] =
-            (settings.statistics.blockedBySite[hostname] || 0) + 1;
+function getTabTokens() {
+    if (!tabTokensLoad) {
+        tabTokensLoad = chrome.storage.session.get(TAB_TOKENS_STORAGE_KEY)
+            .then(result => new Map(
+                Object.entries(result[TAB_TOKENS_STORAGE_KEY] || {}).map(([tabId, token]) => [Number(tabId), token])
+            ))
+            .catch(error => {
+                console.error('[RedirectBlocker] Failed to load tab tokens:', error);
+                return new Map();
+            });
+    }
+    return tabTokensLoad;
+}
 
-        await saveSettings(settings);
-    }).catch(error => {
-        console.error('[RedirectBlocker] Failed to update stats:', error);
+function saveTabTokens(tokens) {
+    chrome.storage.session.set({ [TAB_TOKENS_STORAGE_KEY]: Object.fromEntries(tokens) }).catch(error => {
+        console.error('[RedirectBlocker] Failed to save tab tokens:', error);
     });
-
-    return statsUpdateQueue;
 }
 
-async function getStatistics() {
-    const settings = await getSettings();
-    return settings.statistics;
+async function getTabToken(tabId) {
+    const tokens = await getTabTokens();
+    if (!tokens.has(tabId)) {
+        tokens.set(tabId, crypto.randomUUID());
+        saveTabTokens(tokens);
+    }
+    return tokens.get(tabId);
 }
 
-async function resetStatistics() {
-    const settings = await getSettings();
-    settings.statistics = { totalBlocked: 0, blockedBySite: {} };
-    await saveSettings(settings);
+async function forgetTabToken(tabId) {
+    const tokens = await getTabTokens();
+    if (tokens.delete(tabId)) saveTabTokens(tokens);
 }
 
+chrome.tabs.onRemoved.addListener((tabId) => {
+    forgetTabToken(tabId);
+});
+
+// A prerendered page taking over a tab keeps its token
+chrome.tabs.onReplaced.addListener(async (addedTabId, removedTabId) => {
+    const tokens = await getTabTokens();
+    if (!tokens.has(removedTabId)) return;
+    tokens.set(addedTabId, tokens.get(removedTabId));
+    tokens.delete(removedTabId);
+    saveTabTokens(tokens);
+});
+
 // ============================================
 // Message Handling
 // ============================================
@@ -163,38 +1271,135 @@ async function resetStatistics() {
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     const handleAsync = async () => {
         switch (message.type) {
-            case 'GET_SETTINGS':
-                return await getSettings();
+            case 'GET_SETTINGS': {
+                const settings = await getSettings();
+                return { ...settings, enabledSites: settings.enabledSites.map(describeSiteRule) };
+            }
 
             case 'SET_MODE':
                 await setMode(message.mode);
                 return { success: true };
 
-            case 'IS_SITE_ENABLED':
-                return { enabled: await isSiteEnabled(message.url) };
+            case 'SET_DEBUG_LOGGING':
+                await setDebugLogging(message.enabled);
+                return { success: true };
+
+            case 'IS_SITE_ENABLED': {
+                const rule = await getMatchingSiteRule(message.url);
+                return {
+                    enabled: Boolean(rule),
+                    rule: rule ? describeSiteRule(rule) : null
+                };
+            }
+
+            case 'SET_SERVER_REDIRECT_GUARD':
+                return { success: await setServerRedirectGuard(message, Boolean(message.enabled)) };
+
+            case 'SET_TRUSTED_DESTINATIONS':
+                return await setTrustedDestinations(
+                    { url: message.url, label: message.label },
+                    message.destinations || [],
+                    message.useDefaults !== false
+                );
+
+            case 'GET_DEFAULT_DESTINATIONS':
+                return { destinations: DEFAULT_TRUSTED_DESTINATIONS };
+
+            case 'GET_SUSPICIOUS_LISTS': {
+                const settings = await getSettings();
+                return { lists: settings.suspiciousLists, defaults: DEFAULT_SUSPICIOUS_LISTS };
+            }
+
+            case 'SET_SUSPICIOUS_LISTS':
+                return await setSuspiciousLists(message.lists);
+
+            case 'SET_SITE_SUSPICIOUS_LISTS':
+                return await setSiteSuspiciousLists({ url: message.url, label: message.label }, message.changes);
+
+            case 'GET_PROFILES':
+                return {
+                    profiles: PROFILES,
+                    modules: Object.fromEntries(
+                        Object.entries(BLOCKER_MODULES).map(([id, module]) => [id, module.name])
+                    ),
+                    replacements: Object.fromEntries(
+                        Object.entries(BLOCKER_MODULES)
+                            .filter(([, module]) => module.replaces)
+                            .map(([id, module]) => [id, module.replaces])
+                    )
+                };
+
+            case 'SET_SITE_PROFILE':
+                return {
+                    success: await setSiteProfile(
+                        { url: message.url, label: message.label },
+                        message.profile,
+                        message.modules
+                    )
+                };
+
+            case 'ADD_SITE_RULE':
+                return await addSiteRule(message.rule, message.profile);
+
+            case 'REMOVE_SITE_RULE':
+                return await removeSiteRule(message.label);
+
+            case 'SET_SITE_RULES':
+                return await setSiteRules(message.rules || []);
+
+            case 'EXPORT_SETTINGS':
+                return await exportSettings();
+
+            case 'IMPORT_SETTINGS':
+                return await importSettings(message.data, message.strategy);
 
             case 'SHOULD_PROTECT':
                 return { protect: await shouldProtect(message.url) };
 
+            case 'GET_PAGE_CONFIG':
+                // The tab token lets the frames of one tab find each other
+                return {
+                    ...await getPageConfig(message.url || sender.url),
+                    tabToken: sender.tab && sender.tab.id >= 0 ? await getTabToken(sender.tab.id) : null
+                };
+
             case 'ENABLE_FOR_SITE':
-                return { success: await enableForSite(message.url) };
+                return { success: await enableForSite(message.url, { includeSubdomains: message.includeSubdomains }) };
 
             case 'DISABLE_FOR_SITE':
                 return { success: await disableForSite(message.url) };
 
+            case 'ALLOW_NAVIGATION_TARGET':
+                return { success: await addAllowedTarget(message.url, message.target) };
+
+            case 'LEARNED_STORAGE_KEY':
+                return { success: await addLearnedKey(message.url, message.key, message.reason, sender.documentId || `${sender.tab?.id}:${sender.frameId}:${message.url}`) };
+
+            case 'REMOVE_LEARNED_KEY':
+                return { success: await removeLearnedKey(message.hostname, message.key) };
+
             case 'GET_STATISTICS':
                 return await getStatistics();
 
             case 'INCREMENT_BLOCKED':
+                recordBlockedEvent(message, sender);
+                await countTabBlock(message, sender);
                 await incrementBlockedCount(message.url);
                 return { success: true };
 
+            case 'GET_BLOCKED_EVENTS':
+                return await getBlockedEvents(message.filter, { limit: message.limit, offset: message.offset });
+
+            case 'CLEAR_BLOCKED_EVENTS':
+                await clearBlockedEvents(message.filter);
+                return { success: true };
+
             case 'RESET_STATISTICS':
                 await resetStatistics();
                 return { success: true };
 
             case 'LOG_ENTRY':
-                // Logs from content script
+                // Logs from content script (relayed by the bridge)
                 try {
                     const hostname = message.url ? new URL(message.url).hostname : 'unknown';
                     const prefix = `[CS @ ${hostname}]`;
@@ -217,10 +1422,322 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
 });
 
+// ============================================
+// Server Redirect Guard
+// ============================================
+
+// Opt-in per site rule. While a tab navigates to a deep page of a guarded
+// site, a session rule scoped to that tab blocks top-level requests to the
+// suspicious paths on the same host, so a server answering with a 302 to
+// '/' or '/login' is stopped mid-chain. If the redirect still commits (the
+// rule can lose the race against a fast response), the tab is sent back to
+// the page it asked for, once. The paths are the site's suspicious paths,
+// the same ones the navigation guard uses. A blocked redirect ends on the
+// blocked redirect page instead of the browser's error page.
+
+const SERVER_REDIRECT_RESTORE_WINDOW = 10000;
+const SERVER_REDIRECT_PAGE = 'src/blocked/blocked.html';
+
+// Session rule ids of the guards: a range of their own, so they never
+// collide with other session rules and the startup sweep leaves those alone
+const GUARD_RULE_ID_FIRST = 1000000;
+const GUARD_RULE_ID_COUNT = 100000;
+let nextGuardRuleId = GUARD_RULE_ID_FIRST;
+
+// tabId -> { url, hostname, paths, ruleId } of the guarded navigation in progress
+const guardedNavigations = new Map();
+// tabId -> { url, time } of the last restore, so a redirect loop is restored only once
+const restoredNavigations = new Map();
+
+// Suspicious paths without the homepage, lowercased and without the leading '/'
+function getServerRedirectPaths(paths) {
+    return paths.filter(path => path !== '/').map(path => path.slice(1).toLowerCase());
+}
+
+function isSuspiciousRedirectPath(pathname, paths) {
+    const path = pathname.toLowerCase().split('/').filter(Boolean).join('/');
+    if (!path) return paths.includes('/');
+    return getServerRedirectPaths(paths).some(suspicious => path === suspicious || path.startsWith(suspicious + '/'));
+}
+
+// A deep page that isn't itself part of a login/logout flow
+function isGuardedStartPage(pathname, paths) {
+    const segments = pathname.toLowerCase().split('/').filter(Boolean);
+    const suspicious = getServerRedirectPaths(paths);
+    return segments.length > 0 &&
+        !isSuspiciousRedirectPath(pathname, paths) &&
+        !segments.some(segment => suspicious.includes(segment));
+}
+
+// Top-level URLs on the host that the session rule blocks, or null for none
+function getServerRedirectFilter(hostname, paths) {
+    const subPaths = getServerRedirectPaths(paths).map(escapeRegex);
+    const below = subPaths.length > 0 ? `(${subPaths.join('|')})(/[^?#]*)?` : null;
+    const path = paths.includes('/') ? (below ? `(${below})?` : '') : below;
+    if (path === null) return null;
+    return `^https?://${escapeRegex(hostname)}(:[0-9]+)?/${path}([?#].*)?$`;
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isGuardRuleId(id) {
+    return id >= GUARD_RULE_ID_FIRST && id < GUARD_RULE_ID_FIRST + GUARD_RULE_ID_COUNT;
+}
+
+// The next id of the range that no guard holds
+function allocateGuardRuleId() {
+    const used = new Set([...guardedNavigations.values()].map(guard => guard.ruleId));
+    const following = (id) => (isGuardRuleId(id + 1) ? id + 1 : GUARD_RULE_ID_FIRST);
+    let id = nextGuardRuleId;
+    while (used.has(id)) id = following(id);
+    nextGuardRuleId = following(id);
+    return id;
+}
+
+async function disarmServerRedirectGuard(tabId) {
+    const guard = guardedNavigations.get(tabId);
+    if (!guard) return;
+    guardedNavigations.delete(tabId);
+    try {
+        await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [guard.ruleId] });
+    } catch (error) {
+        console.error('[RedirectBlocker] Failed to remove server redirect rule:', error);
+    }
+}
+
+async function armServerRedirectGuard(tabId, url) {
+    const settings = await getSettings();
+    const rule = findSiteRule(settings.enabledSites, url);
+    const parsed = new URL(url);
+    const { paths } = resolveSuspiciousLists(settings, rule);
+    const regexFilter = getServerRedirectFilter(parsed.hostname, paths);
+    if (!rule?.serverRedirectGuard || !(await shouldProtect(url)) ||
+        !regexFilter || !isGuardedStartPage(parsed.pathname, paths)) {
+        await disarmServerRedirectGuard(tabId);
+        return;
+    }
+
+    // A redirect chain re-arms the tab's guard under the same rule id
+    const ruleId = guardedNavigations.get(tabId)?.ruleId ?? allocateGuardRuleId();
+    guardedNavigations.set(tabId, { url, hostname: parsed.hostname, paths, ruleId });
+    try {
+        await chrome.declarativeNetRequest.updateSessionRules({
+            removeRuleIds: [ruleId],
+            addRules: [{
+                id: ruleId,
+                priority: 1,
+                action: { type: 'block' },
+                condition: {
+                    regexFilter,
+                    isUrlFilterCaseSensitive: false,
+                    resourceTypes: ['main_frame'],
+                    tabIds: [tabId]
+                }
+            }]
+        });
+    } catch (error) {
+        console.error('[RedirectBlocker] Failed to add server redirect rule:', error);
+    }
+}
+
+function recordServerRedirect(tabId, pageUrl, target, action) {
+    const message = { url: pageUrl, mechanism: 'server redirect', target, action };
+    recordBlockedEvent(message, { tab: { id: tabId }, frameId: 0 });
+    countTabBlock(message, { tab: { id: tabId } });
+    incrementBlockedCount(pageUrl);
+    console.log(`[RedirectBlocker] Server redirect ${action}: ${pageUrl} -> ${target}`);
+}
+
+// Replaces the browser's error page the blocked request left in the tab
+function showServerRedirectPage(tabId, pageUrl, target) {
+    const params = new URLSearchParams({ url: pageUrl, target });
+    chrome.tabs.update(tabId, { url: chrome.runtime.getURL(`${SERVER_REDIRECT_PAGE}?${params}`) }).catch(error => {
+        console.error('[RedirectBlocker] Failed to show blocked redirect page:', error);
+    });
+}
+
+function isRedirectFromGuardedPage(guard, url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.hostname === guard.hostname && isSuspiciousRedirectPath(parsed.pathname, guard.paths);
+    } catch {
+        return false;
+    }
+}
+
+const WEB_NAVIGATION_FILTER = { url: [{ schemes: ['http', 'https'] }] };
+
+chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+    if (details.frameId !== 0 || details.tabId < 0) return;
+    armServerRedirectGuard(details.tabId, details.url);
+}, WEB_NAVIGATION_FILTER);
+
+// The redirect committed anyway: send the tab back to the page it asked for
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+    if (details.frameId !== 0) return;
+    const guard = guardedNavigations.get(details.tabId);
+    await disarmServerRedirectGuard(details.tabId);
+
+    if (!guard || !details.transitionQualifiers.includes('server_redirect') ||
+        !isRedirectFromGuardedPage(guard, details.url)) {
+        return;
+    }
+
+    const lastRestore = restoredNavigations.get(details.tabId);
+    if (lastRestore && lastRestore.url === guard.url && Date.now() - lastRestore.time < SERVER_REDIRECT_RESTORE_WINDOW) {
+        console.warn(`[RedirectBlocker] Not restoring ${guard.url} again (redirect loop)`);
+        return;
+    }
+
+    restoredNavigations.set(details.tabId, { url: guard.url, time: Date.now() });
+    recordServerRedirect(details.tabId, guard.url, details.url, 'restored');
+    chrome.tabs.update(details.tabId, { url: guard.url });
+}, WEB_NAVIGATION_FILTER);
+
+// The session rule stopped the redirect
+chrome.webNavigation.onErrorOccurred.addListener(async (details) => {
+    if (details.frameId !== 0) return;
+    const guard = guardedNavigations.get(details.tabId);
+    await disarmServerRedirectGuard(details.tabId);
+
+    if (guard && details.error === 'net::ERR_BLOCKED_BY_CLIENT' && isRedirectFromGuardedPage(guard, details.url)) {
+        recordServerRedirect(details.tabId, guard.url, details.url, 'blocked');
+        showServerRedirectPage(details.tabId, guard.url, details.url);
+    }
+}, WEB_NAVIGATION_FILTER);
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    restoredNavigations.delete(tabId);
+    disarmServerRedirectGuard(tabId);
+    resetTabCounter(tabId);
+});
+
+// Guards don't survive a service worker restart; drop their leftover rules
+chrome.declarativeNetRequest.getSessionRules().then(rules => {
+    const armed = new Set([...guardedNavigations.values()].map(guard => guard.ruleId));
+    const stale = rules.map(rule => rule.id).filter(id => isGuardRuleId(id) && !armed.has(id));
+    if (stale.length > 0) {
+        chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: stale });
+    }
+});
+
 // ============================================
 // Extension Icon Badge (per-tab)
 // ============================================
 
+// Blocked actions are counted per tab (all frames) since its last top-level
+// navigation. The badge color is that of the most serious category seen, in
+// this order; anything not listed counts as a page behavior change (unlocks,
+// visibility).
+const BADGE_CATEGORIES = [
+    {
+        id: 'navigation',
+        color: '#F44336',
+        matches: ({ mechanism }) => /^(location\.|history\.|a\.click$|form\.|meta refresh$|server redirect$)/.test(mechanism)
+    },
+    {
+        id: 'tabDetection',
+        color: '#FF9800',
+        matches: ({ mechanism, action }) => action === 'stubbed' || action === 'isolated' ||
+            /^(BroadcastChannel$|Storage\.|document\.cookie$|IDBObjectStore\.|storage event|navigator\.locks$|SharedWorker$)/.test(mechanism)
+    },
+    {
+        id: 'antiDebug',
+        color: '#2196F3',
+        matches: ({ mechanism, action }) => action === 'stripped' || mechanism.startsWith('DevTools ')
+    },
+    { id: 'page', color: '#9C27B0', matches: () => true }
+];
+const BADGE_PROTECTED_COLOR = '#4CAF50';
+const BADGE_INACTIVE_COLOR = '#666666';
+const MAX_BADGE_COUNT = 999;
+
+// Counters are mirrored to session storage, which outlives service worker restarts
+const TAB_COUNTERS_STORAGE_KEY = 'tabCounters';
+const TAB_COUNTERS_SAVE_DELAY = 1000;
+
+// tabId -> { count, category, documentId } (documentId of the top-level document)
+let tabCountersLoad = null;
+let tabCountersSaveTimer = null;
+
+function getTabCounters() {
+    if (!tabCountersLoad) {
+        tabCountersLoad = chrome.storage.session.get(TAB_COUNTERS_STORAGE_KEY)
+            .then(result => new Map(
+                Object.entries(result[TAB_COUNTERS_STORAGE_KEY] || {}).map(([tabId, counter]) => [Number(tabId), counter])
+            ))
+            .catch(error => {
+                console.error('[RedirectBlocker] Failed to load tab counters:', error);
+                return new Map();
+            });
+    }
+    return tabCountersLoad;
+}
+
+// Batched like the event history, so debugger loops don't cause a write per event
+function saveTabCounters(counters) {
+    if (tabCountersSaveTimer) return;
+    tabCountersSaveTimer = setTimeout(() => {
+        tabCountersSaveTimer = null;
+        chrome.storage.session.set({ [TAB_COUNTERS_STORAGE_KEY]: Object.fromEntries(counters) }).catch(error => {
+            console.error('[RedirectBlocker] Failed to save tab counters:', error);
+        });
+    }, TAB_COUNTERS_SAVE_DELAY);
+}
+
+function getBadgeCategory(message) {
+    const event = { mechanism: String(message.mechanism || ''), action: message.action || 'blocked' };
+    return BADGE_CATEGORIES.findIndex(category => category.matches(event));
+}
+
+function setCounterBadge(tabId, counter) {
+    chrome.action.setBadgeBackgroundColor({ color: BADGE_CATEGORIES[counter.category].color, tabId });
+    chrome.action.setBadgeText({ text: counter.count > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : String(counter.count), tabId });
+}
+
+function createTabCounter(documentId = null) {
+    return { count: 0, category: null, documentId };
+}
+
+/**
+ * Count a blocked action in the sender's tab. A top-level document the
+ * counter doesn't know yet either was just committed (its report can arrive
+ * before onCommitted) and starts a new count, or is on its way out and is
+ * ignored.
+ */
+async function countTabBlock(message, sender) {
+    const tabId = sender.tab?.id;
+    if (tabId === undefined || tabId < 0) return;
+
+    const counters = await getTabCounters();
+    let counter = counters.get(tabId) || createTabCounter();
+    if (sender.frameId === 0 && sender.documentId && sender.documentId !== counter.documentId) {
+        if (sender.documentLifecycle && sender.documentLifecycle !== 'active') return;
+        counter = createTabCounter(sender.documentId);
+    }
+
+    const category = getBadgeCategory(message);
+    counter.count++;
+    counter.category = counter.category === null ? category : Math.min(counter.category, category);
+    counters.set(tabId, counter);
+    saveTabCounters(counters);
+    setCounterBadge(tabId, counter);
+}
+
+async function resetTabCounter(tabId, documentId = null) {
+    const counters = await getTabCounters();
+    if (documentId) {
+        // Already counting for this document (see countTabBlock)
+        if (counters.get(tabId)?.documentId === documentId) return;
+        counters.set(tabId, createTabCounter(documentId));
+    } else {
+        counters.delete(tabId);
+    }
+    saveTabCounters(counters);
+}
+
 async function updateBadge(tabId, url) {
     if (!url) {
         try {
@@ -233,46 +1750,197 @@ async function updateBadge(tabId, url) {
 
     const settings = await getSettings();
     const isProtected = await shouldProtect(url);
+    // Frames can be protected on a page that isn't, so any count is shown
+    const counter = (await getTabCounters()).get(tabId);
 
     if (settings.mode === 'off') {
-        chrome.action.setBadgeBackgroundColor({ color: '#666666', tabId });
+        chrome.action.setBadgeBackgroundColor({ color: BADGE_INACTIVE_COLOR, tabId });
         chrome.action.setBadgeText({ text: 'OFF', tabId });
+    } else if (counter?.count > 0) {
+        setCounterBadge(tabId, counter);
     } else if (isProtected) {
-        chrome.action.setBadgeBackgroundColor({ color: '#4CAF50', tabId });
+        chrome.action.setBadgeBackgroundColor({ color: BADGE_PROTECTED_COLOR, tabId });
         chrome.action.setBadgeText({ text: 'ON', tabId });
     } else {
-        chrome.action.setBadgeBackgroundColor({ color: '#666666', tabId });
+        chrome.action.setBadgeBackgroundColor({ color: BADGE_INACTIVE_COLOR, tabId });
         chrome.action.setBadgeText({ text: '', tabId });
     }
 }
 
+// A new top-level document starts from zero (same-document navigations keep the count)
+chrome.webNavigation.onCommitted.addListener(async (details) => {
+    if (details.frameId !== 0 || details.tabId < 0) return;
+    await resetTabCounter(details.tabId, details.documentId || null);
+    await updateBadge(details.tabId, details.url);
+});
+
 // Update badge when tab is activated
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
     await updateBadge(activeInfo.tabId);
 });
 
-// Update badge when tab is updated AND inject script if protected
+// Update badge when tab finishes loading
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-    // Inject script at the earliest opportunity for protected sites
-    if (changeInfo.status === 'loading' && tab.url) {
-        const protect = await shouldProtect(tab.url);
-        if (protect) {
-            try {
-                await chrome.scripting.executeScript({
-                    target: { tabId: tabId, allFrames: true },
-                    files: ['src/content/blocker.js'],
-                    injectImmediately: true,
-                    world: 'MAIN'
-                });
-                console.log(`[RedirectBlocker] Injected blocker for: ${tab.url}`);
-            } catch (error) {
-                console.log(`[RedirectBlocker] Could not inject: ${error.message}`);
-            }
+    if (changeInfo.status === 'complete') {
+        await updateBadge(tabId, tab.url);
+    }
+});
+
+// ============================================
+// Content Script Registration
+// ============================================
+
+// Registered as dynamic content scripts so they run at document_start,
+// before any page script, instead of racing page code from tabs.onUpdated.
+// Sites are grouped by their enabled modules; each group gets one blocker
+// script made of the built-in defaults, the core, the group's modules and
+// blocker-ready.js.
+//
+// Content scripts can only be files, so the configuration arrives later,
+// through the bridge; until then the modules use the built-in defaults.
+// Registrations only depend on match patterns and module sets, so most
+// settings changes leave them alone.
+const CONTENT_SCRIPT_PREFIX = 'redirect-blocker-';
+const BRIDGE_SCRIPT_ID = `${CONTENT_SCRIPT_PREFIX}bridge`;
+
+// Match patterns covering exactly the pages of a rule, so a blocker is only
+// ever injected into pages it protects. A path rule covers the path itself
+// (with or without a query) and everything below it, not '/dashboard-old'.
+function getSiteRuleMatchPatterns(rule) {
+    const origin = `*://${rule.includeSubdomains ? '*.' : ''}${rule.host}`;
+    if (!rule.path) return [`${origin}/*`];
+    return [`${origin}${rule.path}`, `${origin}${rule.path}?*`, `${origin}${rule.path}/*`];
+}
+
+/**
+ * Blocker scripts for the current settings, plus the bridge
+ */
+function buildContentScripts(settings) {
+    if (settings.mode !== 'specific' && settings.mode !== 'global') return [];
+
+    // Rules share a group when they inject the same scripts
+    const getGroupKey = (rule) => getRuleModules(rule).join();
+
+    // In global mode only rules that deviate from the default need their own group
+    const defaultKey = getGroupKey(null);
+    const rules = settings.mode === 'global'
+        ? settings.enabledSites.filter(rule => getGroupKey(rule) !== defaultKey)
+        : settings.enabledSites;
+
+    const groups = new Map();
+    const getGroup = (rule) => {
+        const key = getGroupKey(rule);
+        if (!groups.has(key)) {
+            groups.set(key, {
+                modules: getRuleModules(rule),
+                rules: [],
+                matches: new Set(),
+                excludeMatches: new Set()
+            });
         }
+        return groups.get(key);
+    };
+
+    if (settings.mode === 'global') {
+        const group = getGroup(null);
+        group.matches.add('<all_urls>');
+        rules.forEach(rule => getSiteRuleMatchPatterns(rule).forEach(pattern => group.excludeMatches.add(pattern)));
     }
 
-    if (changeInfo.status === 'complete') {
-        await updateBadge(tabId, tab.url);
+    for (const rule of rules) {
+        const group = getGroup(rule);
+        group.rules.push(rule);
+        getSiteRuleMatchPatterns(rule).forEach(pattern => group.matches.add(pattern));
+    }
+
+    // A page must only receive one blocker: more specific rules of other groups
+    // (app.example.com inside *.example.com) are excluded from the broader group.
+    for (const group of groups.values()) {
+        for (const other of rules) {
+            if (group.rules.includes(other)) continue;
+            const shadowed = group.rules.some(rule =>
+                coversSiteRule(rule, other) && getRuleSpecificity(other) > getRuleSpecificity(rule)
+            );
+            if (shadowed) getSiteRuleMatchPatterns(other).forEach(pattern => group.excludeMatches.add(pattern));
+        }
+    }
+
+    const scripts = [...groups.values()].map((group, index) => ({
+        id: `${CONTENT_SCRIPT_PREFIX}main-${index}`,
+        js: [
+            'src/shared/defaults.js',
+            'src/content/blocker.js',
+            ...group.modules.map(id => BLOCKER_MODULES[id].file),
+            'src/content/blocker-ready.js'
+        ],
+        matches: [...group.matches],
+        excludeMatches: [...group.excludeMatches],
+        runAt: 'document_start',
+        world: 'MAIN',
+        allFrames: true
+    }));
+
+    if (scripts.length > 0) {
+        scripts.push({
+            // ISOLATED-world relay so the blocker can reach chrome.runtime
+            id: BRIDGE_SCRIPT_ID,
+            js: ['src/content/bridge.js'],
+            matches: [...new Set(scripts.flatMap(script => script.matches))],
+            excludeMatches: [],
+            runAt: 'document_start',
+            world: 'ISOLATED',
+            allFrames: true
+        });
+    }
+    return scripts;
+}
+
+// Comparable form of a registration, ignoring fields Chrome fills in
+function getContentScriptKey(script) {
+    return JSON.stringify([script.id, script.js, script.matches, script.excludeMatches || []]);
+}
+
+// Queue so overlapping settings changes don't register scripts twice
+let contentScriptSyncQueue = Promise.resolve();
+
+async function syncContentScripts() {
+    contentScriptSyncQueue = contentScriptSyncQueue.then(async () => {
+        const settings = await getSettings();
+        const scripts = buildContentScripts(settings);
+
+        const registered = (await chrome.scripting.getRegisteredContentScripts())
+            .filter(script => script.id.startsWith(CONTENT_SCRIPT_PREFIX));
+        const upToDate = registered.length === scripts.length &&
+            scripts.map(getContentScriptKey).sort().join() === registered.map(getContentScriptKey).sort().join();
+        if (upToDate) return;
+
+        if (registered.length > 0) {
+            await chrome.scripting.unregisterContentScripts({ ids: registered.map(script => script.id) });
+        }
+
+        if (scripts.length === 0) {
+            console.log('[RedirectBlocker] Content scripts unregistered');
+            return;
+        }
+
+        await chrome.scripting.registerContentScripts(scripts);
+        console.log(`[RedirectBlocker] Content scripts registered: ${scripts.length - 1} blocker group(s)`);
+    }).catch(error => {
+        console.error('[RedirectBlocker] Failed to sync content scripts:', error);
+    });
+
+    return contentScriptSyncQueue;
+}
+
+// Keep registration in sync whenever mode or enabledSites (incl. profiles) change
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.settings) return;
+
+    const oldSettings = changes.settings.oldValue || {};
+    const newSettings = changes.settings.newValue || {};
+    if (oldSettings.mode !== newSettings.mode ||
+        JSON.stringify(oldSettings.enabledSites) !== JSON.stringify(newSettings.enabledSites)) {
+        syncContentScripts();
     }
 });
 
@@ -285,7 +1953,14 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 
     if (details.reason === 'install') {
         await saveSettings(DEFAULT_SETTINGS);
+    } else if (details.reason === 'update') {
+        await migrateStatistics();
     }
+    await syncContentScripts();
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+    await syncContentScripts();
 });
 
 console.log('[RedirectBlocker] Service worker started');
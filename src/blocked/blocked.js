@@ -0,0 +1,37 @@
+/**
+ * Redirect Blocker - Blocked Redirect Page
+ *
+ * Shown in place of the browser's error page when the server redirect guard
+ * stopped a redirect. Names the page and the redirect target, and lets the
+ * user load the page again or follow the redirect after all.
+ */
+
+document.addEventListener('DOMContentLoaded', init);
+
+// Only web pages; anything else in the query is ignored
+function getWebUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function init() {
+    const params = new URLSearchParams(window.location.search);
+    const pageUrl = getWebUrl(params.get('url'));
+    const targetUrl = getWebUrl(params.get('target'));
+
+    document.getElementById('pageUrl').textContent = pageUrl || 'unknown';
+    document.getElementById('targetUrl').textContent = targetUrl || 'unknown';
+
+    // Replaces this page, which stays out of the tab's history
+    const retryButton = document.getElementById('retryButton');
+    retryButton.disabled = !pageUrl;
+    retryButton.addEventListener('click', () => window.location.replace(pageUrl));
+
+    const continueButton = document.getElementById('continueButton');
+    continueButton.disabled = !targetUrl;
+    continueButton.addEventListener('click', () => window.location.replace(targetUrl));
+}
@@ -0,0 +1,55 @@
+/**
+ * Redirect Blocker - Initialization
+ *
+ * Last file of the blocker content script. Runs after every enabled module
+ * has installed its hooks and removes the shared namespace again, so page
+ * scripts never see it.
+ */
+
+(function () {
+  'use strict';
+
+  const { log, getBlockedCount, originalLocation, runStealthSelfCheck } = window.__redirectBlocker__;
+  delete window.__redirectBlocker__;
+
+  // ============================================
+  // Statistics Reporting
+  // ============================================
+
+  // Report blocked count periodically
+  setInterval(() => {
+    if (getBlockedCount() > 0) {
+      log(`Total blocked: ${getBlockedCount()} redirect attempts`);
+    }
+  }, 30000);
+
+  // ============================================
+  // Stealth Self-Check
+  // ============================================
+
+  // Once the page has loaded (scripts swapped, iframes protected), list
+  // whatever still tells this page apart from an unpatched one
+  function checkStealth() {
+    const leaks = runStealthSelfCheck();
+    if (leaks.length === 0) {
+      log('Stealth self-check: no leaks');
+      return;
+    }
+    log(`Stealth self-check found ${leaks.length} leak(s):`);
+    leaks.forEach(leak => log(`  ${leak}`));
+  }
+
+  if (document.readyState === 'complete') {
+    checkStealth();
+  } else {
+    window.addEventListener('load', checkStealth, { once: true });
+  }
+
+  // ============================================
+  // Initialization Complete
+  // ============================================
+
+  log('Redirect Blocker initialized successfully');
+  log(`Protecting page: ${originalLocation}`);
+
+})();
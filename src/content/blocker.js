@@ -3,6 +3,10 @@
  * 
  * This script runs at document_start in the MAIN world to intercept
  * and neutralize multi-tab detection mechanisms before they can execute.
+ *
+ * It provides the shared core (bridge channel, logging, statistics, code
+ * sanitizer). The protection modules in modules/ are injected right after
+ * it, as selected by the site's profile, followed by blocker-ready.js.
  * 
  * NOTE: This script is only injected on sites where the user has enabled protection.
  */
@@ -12,7 +16,120 @@
 
   const LOG_PREFIX = '[RedirectBlocker]';
   let blockedCount = 0;
-  let originalLocation = window.location.href;
+  const originalLocation = window.location.href;
+
+  // ============================================
+  // Bridge Channel (ISOLATED world relay)
+  // ============================================
+
+  // MAIN-world scripts can't use chrome.runtime, so everything destined for
+  // the service worker goes through bridge.js. The handshake happens before
+  // any page script runs; afterwards only the random channel id is used.
+  const HANDSHAKE_EVENT = 'redirect-blocker:handshake';
+  const BRIDGE_READY_EVENT = 'redirect-blocker:bridge-ready';
+  const MAX_PENDING_MESSAGES = 200;
+  const MAX_TARGET_LENGTH = 500;
+
+  // Keep references to the originals so page scripts can't tamper with the channel
+  const NativeCustomEvent = window.CustomEvent;
+  const nativeDispatchEvent = EventTarget.prototype.dispatchEvent;
+  const nativeAddEventListener = EventTarget.prototype.addEventListener;
+  const nativeRemoveEventListener = EventTarget.prototype.removeEventListener;
+  const nativeStringify = JSON.stringify;
+  const nativeParse = JSON.parse;
+
+  const channelId = createChannelId();
+  const pendingMessages = [];
+  let bridgeConnected = false;
+
+  // Built-in lists (src/shared/defaults.js, injected right before this file)
+  const defaults = window.__redirectBlockerDefaults__;
+  delete window.__redirectBlockerDefaults__;
+
+  // Per-page configuration pushed by the service worker (via the bridge).
+  // Until it arrives, the built-in lists apply. Protection is not part of the
+  // defaults: the blocker is registered for exactly the pages the site rules
+  // cover, so being injected is what makes a page protected. `protect` only
+  // comes with the configuration, false once protection was switched off.
+  let pageConfig = { suspiciousLists: defaults.suspiciousLists };
+
+  // This tab's token, a random id the service worker keeps per tab and sends
+  // with the configuration, so the same-origin frames of a tab (and their
+  // workers) can tell their tab from others. Without an answer in time, this
+  // frame counts as a tab of its own.
+  const TAB_TOKEN_TIMEOUT_MS = 5000;
+  const nativeSetTimeout = window.setTimeout;
+  let tabToken = null;
+  let resolveTabToken;
+  const tabTokenKnown = new Promise(resolve => { resolveTabToken = resolve; });
+
+  function setTabToken(token) {
+    if (tabToken !== null) return;
+    tabToken = token;
+    resolveTabToken(token);
+  }
+
+  function createChannelId() {
+    try {
+      return `rb-${crypto.randomUUID()}`;
+    } catch (e) {
+      return `rb-${Math.random().toString(36).slice(2)}${Date.now().toString(36)}`;
+    }
+  }
+
+  function dispatchToBridge(message) {
+    nativeDispatchEvent.call(document, new NativeCustomEvent(`${channelId}:to-bridge`, {
+      detail: nativeStringify(message)
+    }));
+  }
+
+  function postToBridge(message) {
+    if (bridgeConnected) {
+      dispatchToBridge(message);
+    } else if (pendingMessages.length < MAX_PENDING_MESSAGES) {
+      pendingMessages.push(message);
+    }
+  }
+
+  function applyConfig(config) {
+    pageConfig = { ...pageConfig, ...config };
+    if (pageConfig.tabToken) {
+      setTabToken(String(pageConfig.tabToken));
+    }
+  }
+
+  function handleBridgeMessage(event) {
+    let message;
+    try {
+      message = nativeParse(event.detail);
+    } catch (e) {
+      return;
+    }
+
+    switch (message && message.type) {
+      case 'CONNECTED':
+        bridgeConnected = true;
+        nativeRemoveEventListener.call(document, BRIDGE_READY_EVENT, sendHandshake, true);
+        pendingMessages.splice(0).forEach(dispatchToBridge);
+        break;
+
+      case 'CONFIG':
+        applyConfig(message.config);
+        log('Configuration received:', message.config);
+        break;
+    }
+  }
+
+  function sendHandshake() {
+    if (bridgeConnected) return;
+    nativeDispatchEvent.call(document, new NativeCustomEvent(HANDSHAKE_EVENT, { detail: channelId }));
+  }
+
+  nativeAddEventListener.call(document, `${channelId}:to-page`, handleBridgeMessage, true);
+  // The bridge may be injected after us; it announces itself so we can repeat the handshake
+  nativeAddEventListener.call(document, BRIDGE_READY_EVENT, sendHandshake, true);
+  sendHandshake();
+  nativeSetTimeout(() => setTabToken(`frame-${createChannelId()}`), TAB_TOKEN_TIMEOUT_MS);
 
   // ============================================
   // Logging Utility
@@ -23,816 +140,882 @@
       // Arguments might not be serializable (e.g. elements), so we stringify them safely
       const safeArgs = args.map(arg => {
         try {
-          return typeof arg === 'object' ? JSON.stringify(arg) : String(arg);
+          return typeof arg === 'object' ? nativeStringify(arg) : String(arg);
         } catch (e) {
           return '[Unserializable]';
         }
       });
 
-      chrome.runtime.sendMessage({
+      postToBridge({
         type: 'LOG_ENTRY',
         level,
         message: `${message} ${safeArgs.join(' ')}`,
         url: window.location.href,
         timestamp: Date.now()
-      }).catch(() => {
-        // Ignore errors if background script is unreachable
       });
     } catch (e) {
       // Ignore
     }
   }
 
+  // Page scripts can read the console, so logs only go there while the
+  // debug option is on; they always reach the service worker's console
   function log(message, ...args) {
-    if (typeof console !== 'undefined') {
+    if (pageConfig.debugLogging && typeof console !== 'undefined') {
       console.log(`${LOG_PREFIX} ${message}`, ...args);
     }
     sendLogToBackground('info', message, ...args);
   }
 
-  // Report a blocked action to background for statistics
-  function reportBlocked() {
-    try {
-      chrome.runtime.sendMessage({
-        type: 'INCREMENT_BLOCKED',
-        url: window.location.href
-      }).catch(() => {
-        // Ignore errors if background script is unreachable
-      });
-    } catch (e) {
-      // Ignore
-    }
+  /**
+   * Report a blocked action to background for statistics and the event history
+   * @param {string} mechanism - Hook that fired, e.g. 'location.replace', 'BroadcastChannel'
+   * @param {string} [target] - Target URL, storage key, channel name or code
+   * @param {string} [action] - What was done: 'blocked', 'stripped', 'stubbed', ...
+   */
+  function reportBlocked(mechanism = 'unknown', target = '', action = 'blocked') {
+    blockedCount++;
+    postToBridge({
+      type: 'INCREMENT_BLOCKED',
+      url: window.location.href,
+      mechanism,
+      target: String(target).slice(0, MAX_TARGET_LENGTH),
+      action
+    });
   }
 
   // ============================================
-  // AGGRESSIVE: Script Interception & Debugger Removal
+  // Stealth
   // ============================================
 
-  // Track processed scripts to avoid double-processing
-  const processedScripts = new Set();
-
-  // Helper to sanitize code - removes debugger statements and common obfuscations
-  function sanitizeCode(code, source = 'unknown') {
-    let newCode = code;
-
-    // 1. Strip basic debugger statements (with optional semicolon and whitespace)
-    newCode = newCode.replace(/\bdebugger\s*;?/g, '/* debugger removed */');
-
-    // 2. Strip constructor("debugger") pattern
-    // Matches: .constructor("debugger") or .constructor('debugger') or .constructor(`debugger`)
-    newCode = newCode.replace(/\.constructor\s*\(\s*(["'`])debugger\1\s*\)/g, '.constructor("/* noop */")');
-
-    // 3. Strip eval("debugger") and similar patterns
-    newCode = newCode.replace(/\b(eval|setTimeout|setInterval)\s*\(\s*(["'`])debugger\2/g, '$1($2/* noop */');
-
-    // 4. Strip Function("debugger") constructor calls
-    newCode = newCode.replace(/\bFunction\s*\(\s*(["'`])debugger\1\s*\)/g, 'Function($1/* noop */$1)');
-
-    // 5. Strip new Function("debugger") pattern
-    newCode = newCode.replace(/new\s+Function\s*\(\s*(["'`])debugger\1\s*\)/g, 'new Function($1/* noop */$1)');
+  // Sites fingerprint patched APIs to detect the extension, so every patch
+  // goes through these helpers. A replacement function is installed as a
+  // Proxy of the original, so name, length, the prototype property and
+  // constructibility stay native. Function.prototype.toString reports native
+  // code for it, and property descriptors keep their attributes. selfCheck()
+  // lists whatever still gives the blocker away.
+  //
+  // Self-contained so worker-protection.js can also install it in worker
+  // scopes (via toString).
+  function createStealth(scope) {
+    const nativeToString = scope.Function.prototype.toString;
+    const getDescriptor = scope.Object.getOwnPropertyDescriptor;
+    const defineProperty = scope.Object.defineProperty;
+    const NATIVE_SOURCE = /^function [^(]*\(\) \{\s*\[native code\]\s*\}$/;
+
+    // Disguised function -> source text toString reports for it
+    const nativeSources = new WeakMap();
+    // { owner, property, original descriptor } of every patched property
+    const patches = [];
+    const checks = [];
+
+    function getSource(fn) {
+      return nativeSources.has(fn) ? nativeSources.get(fn) : nativeToString.call(fn);
+    }
 
-    // 6. Strip string concatenation patterns like "de"+"bugger" or 'de'+'bugger'
-    // This catches: "de" + "bugger", 'de' + 'bugger', "deb" + "ugger", etc.
-    newCode = newCode.replace(/(["'])de(?:b(?:ug(?:g(?:er?)?)?)?)?(\1)\s*\+\s*(["'])(?:b?u?g?g?e?r?)\3/gi, '$1noop$2');
+    /**
+     * Report `fn`, which has no native counterpart (e.g. a stand-in class
+     * or its getters), as native code named `name`
+     */
+    function makeNative(fn, name = fn.name) {
+      nativeSources.set(fn, `function ${name}() { [native code] }`);
+      return fn;
+    }
 
-    // 7. Strip Unicode escape sequences for debugger: \u0064\u0065\u0062\u0075\u0067\u0067\u0065\u0072
-    newCode = newCode.replace(/\\u0064\\u0065\\u0062\\u0075\\u0067\\u0067\\u0065\\u0072/gi, 'noop');
+    /**
+     * Stand-in for a whole native class: the class, its methods and
+     * accessors look native, prototype members are enumerable like Web IDL
+     * members, and instances get the native toStringTag
+     */
+    function makeNativeClass(Class, name) {
+      makeNative(Class, name);
+      defineProperty(Class, 'name', { value: name, configurable: true });
+      const proto = Class.prototype;
+      for (const key of Reflect.ownKeys(proto)) {
+        if (key === 'constructor') continue;
+        const descriptor = getDescriptor(proto, key);
+        if (typeof descriptor.value === 'function') makeNative(descriptor.value, String(key));
+        if (descriptor.get) makeNative(descriptor.get, `get ${String(key)}`);
+        if (descriptor.set) makeNative(descriptor.set, `set ${String(key)}`);
+        defineProperty(proto, key, { ...descriptor, enumerable: true });
+      }
+      defineProperty(proto, Symbol.toStringTag, { value: name, configurable: true });
+      return Class;
+    }
 
-    // 8. Strip hex escape sequences: \x64\x65\x62\x75\x67\x67\x65\x72
-    newCode = newCode.replace(/\\x64\\x65\\x62\\x75\\x67\\x67\\x65\\x72/gi, 'noop');
+    /**
+     * Proxy of the native `original` that forwards calls (and `new`) to
+     * `replacement`
+     */
+    function disguise(replacement, original) {
+      const proxy = new Proxy(original, {
+        apply: (target, thisArg, args) => Reflect.apply(replacement, thisArg, args),
+        construct: (target, args, newTarget) => Reflect.construct(replacement, args, newTarget)
+      });
+      nativeSources.set(proxy, getSource(original));
+      return proxy;
+    }
 
-    if (newCode !== code) {
-      log('🔧 Sanitized script from:', source);
+    function disguiseAs(fn, original, name) {
+      if (nativeSources.has(fn)) return fn;
+      return typeof original === 'function' ? disguise(fn, original) : makeNative(fn, name);
     }
-    return newCode;
-  }
 
-  // Override XMLHttpRequest to strip debugger from loaded scripts
-  const OriginalXHR = window.XMLHttpRequest;
-  window.XMLHttpRequest = function () {
-    const xhr = new OriginalXHR();
-    const originalOpen = xhr.open.bind(xhr);
-    let isScript = false;
-    let currentUrl = 'unknown';
-    let sanitizedResponse = null;
-
-    xhr.open = function (method, url, ...args) {
-      if (url && (url.endsWith('.js') || url.includes('.js?'))) {
-        isScript = true;
-        currentUrl = url;
-      } else {
-        isScript = false;
+    /**
+     * Replace a property's value, getter and/or setter, keeping its
+     * attributes. Replaced constructors stay their prototype's constructor.
+     */
+    function patch(owner, property, { value, get, set }) {
+      const original = getDescriptor(owner, property);
+      const descriptor = original ? { ...original } : { configurable: true, enumerable: true };
+      const name = String(property);
+
+      if (value !== undefined) {
+        descriptor.value = typeof value === 'function' ? disguiseAs(value, original && original.value, name) : value;
+        if (!('writable' in descriptor)) descriptor.writable = true;
+        delete descriptor.get;
+        delete descriptor.set;
       }
-      sanitizedResponse = null;
-      return originalOpen(method, url, ...args);
-    };
-
-    // Helper to get and cache sanitized response
-    function getSanitizedResponse() {
-      if (sanitizedResponse !== null) return sanitizedResponse;
-      const original = Object.getOwnPropertyDescriptor(OriginalXHR.prototype, 'responseText').get.call(xhr);
-      if (isScript && original) {
-        sanitizedResponse = sanitizeCode(original, `XHR: ${currentUrl}`);
-      } else {
-        sanitizedResponse = original;
+      if (get) descriptor.get = disguiseAs(get, original && original.get, `get ${name}`);
+      if (set) descriptor.set = disguiseAs(set, original && original.set, `set ${name}`);
+      if (get || set) delete descriptor.writable;
+
+      defineProperty(owner, property, descriptor);
+      patches.push({ owner, property, original });
+
+      // Keep X.prototype.constructor === X
+      const replaced = original && original.value;
+      const proto = typeof replaced === 'function' && getDescriptor(replaced, 'prototype');
+      const constructor = proto && proto.value && getDescriptor(proto.value, 'constructor');
+      if (constructor && constructor.value === replaced && constructor.configurable) {
+        defineProperty(proto.value, 'constructor', { ...constructor, value: descriptor.value });
       }
-      return sanitizedResponse;
     }
 
-    // Intercept responseText for scripts
-    Object.defineProperty(xhr, 'responseText', {
-      get: function () {
-        return getSanitizedResponse();
-      }
-    });
-
-    // Intercept response property (used when responseType is '' or 'text')
-    Object.defineProperty(xhr, 'response', {
-      get: function () {
-        const responseType = xhr.responseType;
-        if (isScript && (responseType === '' || responseType === 'text')) {
-          return getSanitizedResponse();
+    // Function.prototype.toString of this scope, or of a same-origin
+    // iframe's window, reports native code for disguised functions
+    function coverRealm(realm) {
+      const realmToString = realm.Function.prototype.toString;
+      patch(realm.Function.prototype, 'toString', {
+        value: function toString() {
+          return nativeSources.has(this) ? nativeSources.get(this) : Reflect.apply(realmToString, this, arguments);
         }
-        // For other response types (arraybuffer, blob, etc.), return original
-        return Object.getOwnPropertyDescriptor(OriginalXHR.prototype, 'response').get.call(this);
-      }
-    });
-
-    return xhr;
-  };
-  window.XMLHttpRequest.prototype = OriginalXHR.prototype;
-
-  // Override fetch to strip debugger from responses
-  const originalFetch = window.fetch;
-  window.fetch = async function (input, init) {
-    const response = await originalFetch.call(this, input, init);
-    const url = typeof input === 'string' ? input : input.url;
-
-    // Check if it's a JavaScript file
-    const contentType = response.headers.get('content-type') || '';
-    const isJavaScript = url && (
-      url.endsWith('.js') ||
-      url.includes('.js?') ||
-      contentType.includes('javascript')
-    );
-
-    if (isJavaScript) {
-      // Clone the response to avoid body consumption issues
-      const clonedResponse = response.clone();
-
-      // Create a new Response with sanitized body
-      return new Response(
-        new ReadableStream({
-          async start(controller) {
-            try {
-              const text = await clonedResponse.text();
-              const sanitized = sanitizeCode(text, `fetch: ${url}`);
-              controller.enqueue(new TextEncoder().encode(sanitized));
-              controller.close();
-            } catch (e) {
-              controller.error(e);
-            }
-          }
-        }),
-        {
-          status: response.status,
-          statusText: response.statusText,
-          headers: response.headers
-        }
-      );
+      });
     }
 
-    return response;
-  };
-
-  // MutationObserver to intercept script elements before they execute
-  const scriptObserver = new MutationObserver((mutations) => {
-    for (const mutation of mutations) {
-      for (const node of mutation.addedNodes) {
-        if (node.tagName === 'SCRIPT') {
-          interceptScript(node);
-        }
-      }
+    /**
+     * Register a module-specific check: a function returning a list of leaks
+     */
+    function addCheck(check) {
+      checks.push(check);
     }
-  });
 
-  function interceptScript(scriptEl) {
-    // Skip if already processed
-    if (processedScripts.has(scriptEl) || scriptEl.hasAttribute('data-rb-processed')) {
-      return;
+    function getOwnerName(owner) {
+      if (owner === scope) return scope.window ? 'window' : 'self';
+      if (typeof owner === 'function') return owner.name;
+      const constructor = getDescriptor(owner, 'constructor');
+      if (constructor && typeof constructor.value === 'function') return `${constructor.value.name}.prototype`;
+      return Object.prototype.toString.call(owner).slice(8, -1);
     }
-    processedScripts.add(scriptEl);
-    scriptEl.setAttribute('data-rb-processed', 'true');
 
-    // Handle inline scripts
-    if (scriptEl.textContent) {
-      const originalContent = scriptEl.textContent;
-      const cleanContent = sanitizeCode(originalContent, 'inline script');
+    /**
+     * Everything that still tells a patched page from a clean one: functions
+     * and accessors on patched objects that don't look native, patched
+     * properties whose shape changed, and the modules' own checks
+     */
+    function selfCheck() {
+      const leaks = [];
+      const toString = scope.Function.prototype.toString;
+      const looksNative = (fn) => {
+        try {
+          return NATIVE_SOURCE.test(Reflect.apply(toString, fn, []));
+        } catch (e) {
+          return false;
+        }
+      };
 
-      if (cleanContent !== originalContent) {
-        // Create a new clean script
-        const newScript = document.createElement('script');
-        newScript.textContent = cleanContent;
-        newScript.setAttribute('data-rb-processed', 'true');
+      for (const owner of new Set(patches.map(({ owner }) => owner))) {
+        for (const key of Reflect.ownKeys(owner)) {
+          const descriptor = getDescriptor(owner, key);
+          const label = `${getOwnerName(owner)}.${String(key)}`;
+          if (typeof descriptor.value === 'function' && !looksNative(descriptor.value)) leaks.push(`${label}: source visible`);
+          if (descriptor.get && !looksNative(descriptor.get)) leaks.push(`${label}: getter source visible`);
+          if (descriptor.set && !looksNative(descriptor.set)) leaks.push(`${label}: setter source visible`);
+        }
+      }
 
-        // Copy attributes
-        for (const attr of scriptEl.attributes) {
-          if (attr.name !== 'data-rb-processed') {
-            newScript.setAttribute(attr.name, attr.value);
-          }
+      for (const { owner, property, original } of patches) {
+        const label = `${getOwnerName(owner)}.${String(property)}`;
+        const current = getDescriptor(owner, property);
+        if (!original) {
+          leaks.push(`${label}: not present natively`);
+          continue;
         }
+        if (!current) {
+          leaks.push(`${label}: removed`);
+          continue;
+        }
+        if (('value' in original) !== ('value' in current)) leaks.push(`${label}: property kind changed`);
+        for (const attribute of ['writable', 'enumerable', 'configurable']) {
+          if (original[attribute] !== current[attribute]) leaks.push(`${label}: ${attribute} changed`);
+        }
+        for (const part of ['value', 'get', 'set']) {
+          const before = original[part];
+          const after = current[part];
+          if (typeof before !== 'function' || typeof after !== 'function' || before === after) continue;
+          if (before.name !== after.name || before.length !== after.length) leaks.push(`${label}: name or length changed`);
+          if (('prototype' in before) !== ('prototype' in after)) leaks.push(`${label}: prototype property changed`);
+        }
+      }
 
-        // Block original and insert clean version
-        scriptEl.type = 'javascript/blocked';
-        scriptEl.parentNode?.insertBefore(newScript, scriptEl);
+      for (const check of checks) {
+        try {
+          leaks.push(...check());
+        } catch (e) {
+          leaks.push(`Check failed: ${e.message}`);
+        }
       }
+      return leaks;
     }
 
-    // Handle external scripts - we intercept via fetch/XHR above
-  }
+    coverRealm(scope);
 
-  // Start observing immediately
-  scriptObserver.observe(document.documentElement || document, {
-    childList: true,
-    subtree: true
-  });
+    return { patch, disguise, makeNative, makeNativeClass, coverRealm, addCheck, selfCheck };
+  }
 
-  log('🔧 Script debugger interceptor installed');
+  const stealth = createStealth(window);
 
   // ============================================
-  // 1. BroadcastChannel Override
+  // Code Sanitizer
   // ============================================
 
-  const OriginalBroadcastChannel = window.BroadcastChannel;
-
-  class BlockedBroadcastChannel {
-    constructor(channelName) {
-      log(`Blocked BroadcastChannel creation: "${channelName}"`);
-      this._channelName = channelName;
-      this._listeners = new Map();
-      blockedCount++;
-      reportBlocked();
+  // A small JavaScript tokenizer, so only real `debugger` statements are
+  // removed - never the word inside strings, regexes, comments or property
+  // names (obj.debugger). Besides statements it rewrites string arguments of
+  // eval/Function/constructor/setTimeout/setInterval that build a debugger
+  // trap at runtime ("debugger", "de" + "bugger", "\u0064ebugger"). If the
+  // source can't be tokenized, it is returned unchanged: a broken bundle would
+  // take the whole page down.
+  //
+  // Built by a self-contained factory so worker-protection.js can also
+  // install it in worker scopes (via toString). `onChange` is called whenever
+  // it changed some code.
+  function createSanitizer({ log, stringify, onChange }) {
+    // Callees whose string arguments are compiled as code
+    const DYNAMIC_CODE_CALLEES = ['eval', 'Function', 'constructor', 'setTimeout', 'setInterval'];
+
+    // Keywords after which a '/' starts a regex literal rather than a division
+    const REGEX_PREFIX_KEYWORDS = [
+      'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+      'throw', 'case', 'do', 'else', 'yield', 'await'
+    ];
+
+    const MULTI_CHAR_PUNCTUATORS = ['?.', '++', '--', '=>'];
+    const NUMBER_PATTERN = /(?:0[xXoObB][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y;
+    const IDENTIFIER_START = /[A-Za-z_$\\\u0080-\uffff]/;
+    const IDENTIFIER_PART = /[\w$\\\u0080-\uffff]/;
+
+    const SANITIZE_CACHE_SIZE = 100;
+    const SANITIZE_CACHE_MIN_LENGTH = 1024;
+    const sanitizeCache = new Map();
+
+    function isLineTerminator(ch) {
+      return ch === '\n' || ch === '\r' || ch === '\u2028' || ch === '\u2029';
     }
 
-    postMessage(message) {
-      log(`Blocked BroadcastChannel.postMessage on "${this._channelName}":`, message);
-      // Don't actually send the message
-    }
+    /**
+     * Split source into significant tokens ({ type, value, start, end }) with
+     * types 'name', 'string', 'template', 'regex', 'number' and 'punct'.
+     * Comments and whitespace are skipped. Returns null if the source doesn't
+     * tokenize (unterminated string, comment, template or regex).
+     */
+    function tokenize(code) {
+      const tokens = [];
+      // '{' and '${' nesting, so a '}' knows whether it resumes a template
+      const braceStack = [];
+      let pos = code.startsWith('#!') ? code.indexOf('\n') : 0;
+      if (pos === -1) return tokens;
+
+      const push = (type, start, end) => {
+        tokens.push({ type, value: code.slice(start, end), start, end });
+      };
 
-    close() {
-      log(`BroadcastChannel "${this._channelName}" closed`);
-    }
+      // Scan template characters from `start` (just after '`' or '}');
+      // returns the end position, or -1 if unterminated
+      const scanTemplate = (start) => {
+        let i = start;
+        while (i < code.length) {
+          const ch = code[i];
+          if (ch === '\\') {
+            i += 2;
+          } else if (ch === '`') {
+            return i + 1;
+          } else if (ch === '$' && code[i + 1] === '{') {
+            braceStack.push('template');
+            return i + 2;
+          } else {
+            i++;
+          }
+        }
+        return -1;
+      };
 
-    addEventListener(type, listener) {
-      // Store but never call
-      if (!this._listeners.has(type)) {
-        this._listeners.set(type, []);
-      }
-      this._listeners.get(type).push(listener);
-    }
+      const regexAllowed = () => {
+        const previous = tokens[tokens.length - 1];
+        if (!previous) return true;
+        if (previous.type === 'punct') return ![')', ']', '++', '--'].includes(previous.value);
+        if (previous.type === 'name') return REGEX_PREFIX_KEYWORDS.includes(previous.value);
+        return false;
+      };
 
-    removeEventListener(type, listener) {
-      if (this._listeners.has(type)) {
-        const listeners = this._listeners.get(type);
-        const index = listeners.indexOf(listener);
-        if (index > -1) {
-          listeners.splice(index, 1);
+      while (pos < code.length) {
+        const start = pos;
+        const ch = code[pos];
+        const next = code[pos + 1];
+
+        if (ch === ' ' || ch === '\t' || isLineTerminator(ch) || ch === '\f' || ch === '\v' || ch === '\ufeff' || ch === '\u00a0') {
+          pos++;
+        } else if (ch === '/' && next === '/') {
+          while (pos < code.length && !isLineTerminator(code[pos])) pos++;
+        } else if (ch === '/' && next === '*') {
+          const end = code.indexOf('*/', pos + 2);
+          if (end === -1) return null;
+          pos = end + 2;
+        } else if (ch === '"' || ch === "'") {
+          pos++;
+          while (pos < code.length && code[pos] !== ch) {
+            if (code[pos] === '\\') pos++;
+            else if (code[pos] === '\n' || code[pos] === '\r') return null;
+            pos++;
+          }
+          if (pos >= code.length) return null;
+          pos++;
+          push('string', start, pos);
+        } else if (ch === '`') {
+          pos = scanTemplate(pos + 1);
+          if (pos === -1) return null;
+          push('template', start, pos);
+        } else if (ch === '}' && braceStack[braceStack.length - 1] === 'template') {
+          braceStack.pop();
+          pos = scanTemplate(pos + 1);
+          if (pos === -1) return null;
+          push('template', start, pos);
+        } else if (ch === '/' && regexAllowed()) {
+          let inClass = false;
+          pos++;
+          while (pos < code.length) {
+            const c = code[pos];
+            if (isLineTerminator(c)) return null;
+            if (c === '\\') pos++;
+            else if (c === '[') inClass = true;
+            else if (c === ']') inClass = false;
+            else if (c === '/' && !inClass) break;
+            pos++;
+          }
+          if (pos >= code.length) return null;
+          pos++;
+          while (pos < code.length && IDENTIFIER_PART.test(code[pos])) pos++;
+          push('regex', start, pos);
+        } else if (IDENTIFIER_START.test(ch)) {
+          while (pos < code.length && IDENTIFIER_PART.test(code[pos])) pos++;
+          push('name', start, pos);
+        } else if ((ch >= '0' && ch <= '9') || (ch === '.' && next >= '0' && next <= '9')) {
+          NUMBER_PATTERN.lastIndex = pos;
+          NUMBER_PATTERN.test(code);
+          pos = Math.max(NUMBER_PATTERN.lastIndex, pos + 1);
+          push('number', start, pos);
+        } else {
+          const pair = ch + (next || '');
+          const isPair = MULTI_CHAR_PUNCTUATORS.includes(pair) && !(pair === '?.' && /\d/.test(code[pos + 2] || ''));
+          pos += isPair ? 2 : 1;
+          if (ch === '{') braceStack.push('brace');
+          if (ch === '}') braceStack.pop();
+          push('punct', start, pos);
         }
       }
-    }
-
-    get onmessage() {
-      return this._onmessage || null;
-    }
-
-    set onmessage(handler) {
-      this._onmessage = handler;
-      // Never call the handler
-    }
-
-    get onmessageerror() {
-      return this._onmessageerror || null;
-    }
-
-    set onmessageerror(handler) {
-      this._onmessageerror = handler;
-    }
 
-    get name() {
-      return this._channelName;
+      return braceStack.length === 0 ? tokens : null;
     }
-  }
 
-  // Replace BroadcastChannel globally
-  if (OriginalBroadcastChannel) {
-    window.BroadcastChannel = BlockedBroadcastChannel;
-    log('BroadcastChannel override installed');
-  }
-
-  // ============================================
-  // 2. Anti-Debugging Protection
-  // ============================================
-
-  // AGGRESSIVE: Anti-Debugger & Constructor Protection
-  (function antiDebugger() {
-    // Hardened Function constructor override
-    // Sites often use (function(){}).constructor("debugger")() to bypass window.Function
-    const OriginalFunction = window.Function;
-    const NativeFunction = OriginalFunction; // alias
-
-    // Override window.Function
-    window.Function = function (...args) {
-      const body = args[args.length - 1] || '';
-      if (typeof body === 'string' && body.includes('debugger')) {
-        log('Blocked Function("debugger") call');
-        blockedCount++;
-        reportBlocked();
-        // Strip the debugger statement
-        args[args.length - 1] = body.replace(/debugger\s*;?/g, '');
-        return NativeFunction.apply(this, args);
+    /**
+     * Value of a string literal, or of a template literal without
+     * substitutions; null for anything else
+     */
+    function cookLiteral(token) {
+      if (token.type === 'template' && (!token.value.startsWith('`') || !token.value.endsWith('`') || token.value.includes('${'))) return null;
+      if (token.type !== 'string' && token.type !== 'template') return null;
+
+      const raw = token.value.slice(1, -1);
+      let result = '';
+      for (let i = 0; i < raw.length; i++) {
+        const ch = raw[i];
+        if (ch !== '\\') {
+          result += ch;
+          continue;
+        }
+        const next = raw[++i];
+        if (next === 'x') {
+          result += String.fromCharCode(parseInt(raw.slice(i + 1, i + 3), 16));
+          i += 2;
+        } else if (next === 'u' && raw[i + 1] === '{') {
+          const end = raw.indexOf('}', i);
+          result += String.fromCodePoint(parseInt(raw.slice(i + 2, end), 16));
+          i = end;
+        } else if (next === 'u') {
+          result += String.fromCharCode(parseInt(raw.slice(i + 1, i + 5), 16));
+          i += 4;
+        } else if (next === '\r') {
+          if (raw[i + 1] === '\n') i++;
+        } else if (!isLineTerminator(next)) {
+          result += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' }[next] ?? next;
+        }
       }
-      return NativeFunction.apply(this, args);
-    };
-
-    // Ensure prototype chain still works but constructor points to our wrapper
-    window.Function.prototype = NativeFunction.prototype;
-    window.Function.prototype.constructor = window.Function;
+      return result;
+    }
 
-    // Also try to patch the AsyncFunction constructor if it exists
-    try {
-      const AsyncFunction = Object.getPrototypeOf(async function () { }).constructor;
-      const OriginalAsyncFunction = AsyncFunction;
-
-      window.AsyncFunction = function (...args) {
-        const body = args[args.length - 1] || '';
-        if (typeof body === 'string' && body.includes('debugger')) {
-          log('Blocked AsyncFunction("debugger") call');
-          blockedCount++;
-          reportBlocked();
-          args[args.length - 1] = body.replace(/debugger\s*;?/g, '');
-          return OriginalAsyncFunction.apply(this, args);
+    /**
+     * Module references in `code`, for worker-protection.js's module loader:
+     *   { type: 'static', start, end, specifier, attributes } - the string of
+     *     `import 'x'`, `import ... from 'x'` or `export ... from 'x'`
+     *   { type: 'dynamic', start, end } - the `import` of an `import(...)` call
+     *   { type: 'meta', start, end } - an `import.meta` expression
+     * Null if it doesn't tokenize.
+     */
+    function findImports(code) {
+      const tokens = tokenize(code);
+      if (!tokens) return null;
+
+      const found = [];
+      const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+      const isName = (token, value) => token && token.type === 'name' && token.value === value;
+
+      // `import(x) {` is a method named import, not a call
+      const isMethodName = (i) => {
+        let depth = 0;
+        for (let j = i + 1; j < tokens.length; j++) {
+          if (isPunct(tokens[j], '(')) depth++;
+          if (isPunct(tokens[j], ')') && --depth === 0) return isPunct(tokens[j + 1], '{');
         }
-        return OriginalAsyncFunction.apply(this, args);
+        return false;
       };
 
-      // Patch prototype to catch (async function(){}).constructor
-      Object.defineProperty(OriginalAsyncFunction.prototype, 'constructor', {
-        value: window.AsyncFunction,
-        writable: true,
-        configurable: true
-      });
-    } catch (e) {
-      // AsyncFunction might not be exposed globally or writable
-    }
-
-    log('Hardened Function/AsyncFunction overrides installed');
-  })();
-
-  // AGGRESSIVE: Neutralize "devtools-detector" library specifically
-  // The user reported code uses this library: devtoolsDetector.addListener(...)
-  try {
-    Object.defineProperty(window, 'devtoolsDetector', {
-      get: function () {
-        log('Blocked access to devtoolsDetector');
-        return {
-          addListener: function () { },
-          launch: function () { },
-          isLaunch: function () { return false; },
-          stop: function () { },
-          setDetectDelay: function () { }
-        };
-      },
-      set: function () {
-        log('Blocked setting devtoolsDetector');
-      },
-      configurable: false
-    });
-  } catch (e) {
-    log('Could not define devtoolsDetector property');
-  }
+      const addStatic = (token, after) => {
+        const specifier = cookLiteral(token);
+        if (specifier === null) return;
+        found.push({
+          type: 'static', start: token.start, end: token.end, specifier,
+          attributes: isName(after, 'with') || isName(after, 'assert')
+        });
+      };
 
-  // AGGRESSIVE: The Ultimate Anti-Debugger via Function.prototype
-  // This catches (function(){}).constructor("debugger")() which is the most common bypass
-  try {
-    const originalFunctionConstructor = Function.prototype.constructor;
-    // We can't just overwrite the value because it might be restored.
-    // Instead we define a getter that returns our proxy wrapper.
-    Object.defineProperty(Function.prototype, 'constructor', {
-      get: function () {
-        // Return a wrapper that checks arguments
-        const wrapper = function (...args) {
-          const body = args[args.length - 1] || '';
-          if (typeof body === 'string' && (body.includes('debugger') || body === 'debugger')) {
-            log('🛡️ Blocked dynamic function with debugger');
-            blockedCount++;
-            reportBlocked();
-            // Return a no-op function
-            return function () { };
+      for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+        if (token.type !== 'name' || isPunct(tokens[i - 1], '.') || isPunct(tokens[i - 1], '?.')) continue;
+
+        if (token.value === 'import') {
+          if (isPunct(next, '(')) {
+            if (!isMethodName(i)) found.push({ type: 'dynamic', start: token.start, end: token.end });
+          } else if (isPunct(next, '.') && isName(tokens[i + 2], 'meta')) {
+            found.push({ type: 'meta', start: token.start, end: tokens[i + 2].end });
+          } else if (next && next.type === 'string') {
+            addStatic(next, tokens[i + 2]);
           }
-          // Otherwise behave like normal Function constructor
-          return originalFunctionConstructor.apply(this, args);
-        };
-        // Masquerade as the real thing
-        wrapper.prototype = originalFunctionConstructor.prototype;
-        wrapper.toString = () => originalFunctionConstructor.toString();
-        return wrapper;
-      },
-      set: function () {
-        // Ignore attempts to reset it
-        log('Blocked attempt to reset Function.constructor');
-      },
-      configurable: false
-    });
-    log('Function.prototype.constructor protection installed');
-  } catch (e) {
-    log('Function.prototype protection failed:', e);
-  }
-
-  // Block eval with debugger
-  const originalEval = window.eval;
-  window.eval = function (code) {
-    if (typeof code === 'string' && code.includes('debugger')) {
-      log('Stripped debugger from eval');
-      blockedCount++;
-      reportBlocked();
-      code = code.replace(/debugger\s*;?/g, '');
+        } else if (token.value === 'from' && next && next.type === 'string') {
+          addStatic(next, tokens[i + 2]);
+        }
+      }
+      return found;
     }
-    return originalEval.call(this, code);
-  };
 
-  // Prevent setInterval/setTimeout debugger loops
-  const originalSetInterval = window.setInterval;
-  const originalSetTimeout = window.setTimeout;
+    /**
+     * Edits ({ start, end, text }) that make `code` debugger-free, or null if
+     * it doesn't tokenize
+     */
+    function findDebuggerEdits(code) {
+      const tokens = tokenize(code);
+      if (!tokens) return null;
+
+      const edits = [];
+      const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+
+      for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const previous = tokens[i - 1];
+        const next = tokens[i + 1];
+
+        // `debugger` statement: not a property (obj.debugger, obj?.debugger)
+        // or a method/key name ({ debugger() {} }, { debugger: 1 })
+        if (token.type === 'name' && token.value === 'debugger' &&
+          !isPunct(previous, '.') && !isPunct(previous, '?.') &&
+          !isPunct(next, '(') && !isPunct(next, ':') && !isPunct(next, '=')) {
+          // Keep a statement in its place (if (x) debugger\nfoo()), but don't
+          // add an extra one before ';' (if (x) debugger; else ...)
+          const endsHere = isPunct(next, ';') || isPunct(next, '}');
+          edits.push({ start: token.start, end: token.end, text: endsHere ? '/* debugger removed */' : ';/* debugger removed */' });
+          continue;
+        }
 
-  window.setInterval = function (handler, timeout, ...args) {
-    if (typeof handler === 'string' && handler.includes('debugger')) {
-      log('Stripped debugger from setInterval');
-      blockedCount++;
-      reportBlocked();
-      handler = handler.replace(/debugger\s*;?/g, '');
-    }
-    return originalSetInterval.call(this, handler, timeout, ...args);
-  };
+        // eval("..."), Function("..."), x.constructor("..."), x["constructor"]("..."), setTimeout("...")
+        const isCallee = (token.type === 'name' && DYNAMIC_CODE_CALLEES.includes(token.value)) ||
+          (isPunct(token, ']') && previous && cookLiteral(previous) === 'constructor');
+        if (!isCallee || !isPunct(next, '(')) continue;
+
+        // Each argument made only of literals joined by '+' is decoded,
+        // sanitized as code and written back as one string literal
+        let j = i + 2;
+        while (j < tokens.length) {
+          const parts = [];
+          while (cookLiteral(tokens[j]) !== null) {
+            parts.push(tokens[j]);
+            if (!isPunct(tokens[j + 1], '+')) break;
+            j += 2;
+          }
+          const end = parts.length > 0 ? j + 1 : j;
+          if (parts.length > 0 && (isPunct(tokens[end], ',') || isPunct(tokens[end], ')'))) {
+            const source = parts.map(cookLiteral).join('');
+            const clean = sanitizeSource(source);
+            if (clean !== source) {
+              edits.push({ start: parts[0].start, end: parts[parts.length - 1].end, text: stringify(clean) });
+            }
+          }
+          if (!isPunct(tokens[end], ',')) break;
+          j = end + 1;
+        }
+      }
 
-  window.setTimeout = function (handler, timeout, ...args) {
-    if (typeof handler === 'string' && handler.includes('debugger')) {
-      log('Stripped debugger from setTimeout');
-      blockedCount++;
-      reportBlocked();
-      handler = handler.replace(/debugger\s*;?/g, '');
+      return edits;
     }
-    return originalSetTimeout.call(this, handler, timeout, ...args);
-  };
-
-  // Prevent console.clear() which sites use to hide debugging
-  console.clear = function () {
-    log('Blocked console.clear()');
-  };
 
-  // Block right-click prevention
-  document.addEventListener('contextmenu', function (e) {
-    e.stopImmediatePropagation();
-  }, true);
+    function sanitizeSource(code) {
+      const edits = findDebuggerEdits(code);
+      if (!edits || edits.length === 0) return code;
 
-  // Block keyboard shortcut prevention (F12, Ctrl+Shift+I, etc.)
-  document.addEventListener('keydown', function (e) {
-    e.stopImmediatePropagation();
-  }, true);
-
-  log('Anti-debugging protection installed');
-
-  // ============================================
-  // 2. localStorage Storage Event Blocking
-  // ============================================
-
-  const originalAddEventListener = window.addEventListener.bind(window);
-
-  window.addEventListener = function (type, listener, options) {
-    if (type === 'storage') {
-      log('Blocked storage event listener registration');
-      blockedCount++;
-      reportBlocked();
-      // Don't register the listener
-      return;
+      let result = '';
+      let last = 0;
+      for (const edit of edits.sort((a, b) => a.start - b.start)) {
+        if (edit.start < last) continue;
+        result += code.slice(last, edit.start) + edit.text;
+        last = edit.end;
+      }
+      return result + code.slice(last);
     }
-    return originalAddEventListener(type, listener, options);
-  };
-
-  log('Storage event listener blocking installed');
-
-  // ============================================
-  // 3. location.href Protection
-  // ============================================
 
-  // Suspicious redirect targets (paths that indicate forced logout/redirect)
-  const SUSPICIOUS_PATHS = ['/', '/login', '/signin', '/auth', '/home', '/index', '/logout', '/signout'];
-
-  // Track if user has interacted (clicks, etc.) - legitimate navigation
-  // 500ms window to allow for async operations after user action
-  let userInteracted = false;
-  document.addEventListener('click', () => { userInteracted = true; setTimeout(() => { userInteracted = false; }, 500); }, true);
-  document.addEventListener('submit', () => { userInteracted = true; setTimeout(() => { userInteracted = false; }, 500); }, true);
-  document.addEventListener('keydown', (e) => {
-    // Allow navigation from keyboard shortcuts (Enter on links, etc.)
-    if (e.key === 'Enter') {
-      userInteracted = true;
-      setTimeout(() => { userInteracted = false; }, 500);
+    // Cheap pre-check: without the word or an escape sequence there is nothing to do
+    function mayContainDebugger(code) {
+      return code.includes('debugger') || /\\[ux]|["'`]\s*\+/.test(code);
     }
-  }, true);
 
-  /**
-   * Smart navigation blocking - only blocks suspicious redirect patterns
-   */
-  function shouldBlockNavigation(newUrl, method = 'unknown') {
-    try {
-      const currentUrl = new URL(originalLocation);
-      const targetUrl = new URL(newUrl, currentUrl.origin);
-      const isSameOrigin = targetUrl.origin === currentUrl.origin;
-      const isFromDeepPage = currentUrl.pathname !== '/' && currentUrl.pathname.split('/').filter(Boolean).length > 0;
-      const isToSuspiciousPath = SUSPICIOUS_PATHS.some(p =>
-        targetUrl.pathname === p || targetUrl.pathname === p + '/' || targetUrl.pathname.startsWith(p + '/')
-      );
-
-      // Allow if user just clicked something (legitimate navigation)
-      if (userInteracted) {
-        log(`✅ Allowed navigation [${method}] (user interaction): ${targetUrl.pathname}`);
-        return false;
+    // Two 32-bit FNV-1a variants plus the length, so a collision can't hand
+    // one bundle the sanitized source of another
+    function hashCode(code) {
+      let h1 = 0x811c9dc5;
+      let h2 = 0x01000193;
+      for (let i = 0; i < code.length; i++) {
+        const c = code.charCodeAt(i);
+        h1 = Math.imul(h1 ^ c, 0x01000193);
+        h2 = Math.imul(h2 ^ c, 0x5bd1e995) ^ (h2 >>> 15);
       }
+      return `${code.length}:${(h1 >>> 0).toString(36)}:${(h2 >>> 0).toString(36)}`;
+    }
 
-      // Log navigation attempts for debugging
-      log(`🔍 Navigation attempt [${method}]:`, {
-        from: currentUrl.pathname,
-        to: targetUrl.pathname,
-        sameOrigin: isSameOrigin,
-        toSuspicious: isToSuspiciousPath,
-        fromDeepPage: isFromDeepPage
-      });
-
-      // Block: Same-origin redirect from a deep page to homepage/login (classic multi-tab attack)
-      if (isSameOrigin && isFromDeepPage && isToSuspiciousPath) {
-        log(`🛡️ BLOCKED suspicious redirect [${method}]: ${currentUrl.pathname} -> ${targetUrl.pathname}`);
-        blockedCount++;
-        reportBlocked();
-        return true;
+    /**
+     * Remove debugger statements and debugger-building patterns from script
+     * source. Returns the code unchanged when there is nothing to remove or it
+     * can't be tokenized.
+     */
+    function sanitizeCode(code, source = 'unknown') {
+      if (typeof code !== 'string' || !mayContainDebugger(code)) return code;
+
+      const cacheable = code.length >= SANITIZE_CACHE_MIN_LENGTH;
+      const key = cacheable ? hashCode(code) : null;
+      let newCode;
+      if (cacheable && sanitizeCache.has(key)) {
+        newCode = sanitizeCache.get(key);
+        // Re-insert to keep the most recently used entries
+        sanitizeCache.delete(key);
+      } else {
+        try {
+          newCode = sanitizeSource(code);
+        } catch (e) {
+          log('Sanitizer failed, keeping original script from:', source);
+          newCode = code;
+        }
       }
 
-      // Block: Cross-origin redirects (only if programmatic, not user-initiated)
-      if (!isSameOrigin) {
-        log(`🛡️ BLOCKED cross-origin redirect [${method}]: ${currentUrl.origin} -> ${targetUrl.origin}`);
-        blockedCount++;
-        reportBlocked();
-        return true;
+      if (cacheable) {
+        sanitizeCache.set(key, newCode);
+        if (sanitizeCache.size > SANITIZE_CACHE_SIZE) {
+          sanitizeCache.delete(sanitizeCache.keys().next().value);
+        }
       }
 
-    } catch (e) {
-      log('URL parsing failed:', e);
+      if (newCode !== code) {
+        log('🔧 Sanitized script from:', source);
+        if (onChange) onChange();
+      }
+      return newCode;
     }
 
-    return false;
+    sanitizeCode.findImports = findImports;
+    return sanitizeCode;
   }
 
-  // NOTE: window.location cannot be overridden in modern browsers.
-  // We rely on location.assign/replace/reload overrides instead.
-
-  // Override location.assign, location.replace, and location.reload
-  try {
-    const originalAssign = window.location.assign.bind(window.location);
-    const originalReplace = window.location.replace.bind(window.location);
-    const originalReload = window.location.reload.bind(window.location);
-
-    Object.defineProperty(window.location, 'assign', {
-      value: function (url) {
-        if (shouldBlockNavigation(url, 'location.assign')) {
-          return;
-        }
-        return originalAssign(url);
-      },
-      writable: false,
-      configurable: false
-    });
+  // Counted so modules can tell when a page builds debugger statements
+  let sanitizedCount = 0;
+  const sanitizeCode = createSanitizer({
+    log,
+    stringify: nativeStringify,
+    onChange: () => { sanitizedCount++; }
+  });
 
-    Object.defineProperty(window.location, 'replace', {
-      value: function (url) {
-        if (shouldBlockNavigation(url, 'location.replace')) {
-          return;
-        }
-        return originalReplace(url);
-      },
-      writable: false,
-      configurable: false
-    });
+  // ============================================
+  // Worker Scope Preludes
+  // ============================================
 
-    Object.defineProperty(window.location, 'reload', {
-      value: function () {
-        // Allow if user just interacted (legitimate refresh)
-        if (userInteracted) {
-          log('✅ Allowed location.reload() (user interaction)');
-          return originalReload();
-        }
-        log('🛡️ BLOCKED location.reload()');
-        blockedCount++;
-        reportBlocked();
-        return;
-      },
-      writable: false,
-      configurable: false
-    });
+  // Modules whose protections also belong in worker scopes register them
+  // here; worker-protection.js runs them in every worker the page starts,
+  // before the worker's own code. `install(scope, api, data)` and the
+  // `helpers` are serialized with toString(), so they must not reference
+  // anything outside themselves; `getData()` supplies JSON data at startup.
+  const workerPreludes = [];
 
-    log('location methods protection installed');
-  } catch (e) {
-    log('location methods could not be overridden (read-only):', e);
+  function addWorkerPrelude(install, { helpers = [], getData = () => null } = {}) {
+    workerPreludes.push({ install, helpers, getData });
   }
 
-  // Block History API manipulation
-  try {
-    const originalPushState = history.pushState.bind(history);
-    const originalReplaceState = history.replaceState.bind(history);
-    const originalGo = history.go.bind(history);
-
-    history.pushState = function (state, unused, url) {
-      if (url && shouldBlockNavigation(url, 'history.pushState')) {
-        return;
-      }
-      return originalPushState(state, unused, url);
-    };
+  // Modules that talk to the page's workers register a link here, under a
+  // topic. `connect(post)` runs for every protected worker: `post(message)`
+  // reaches the worker, where a prelude listens with
+  // `api.linkParent(topic, receive)`, and the function it returns (if any)
+  // receives the worker's messages.
+  const workerLinks = new Map();
 
-    history.replaceState = function (state, unused, url) {
-      if (url && shouldBlockNavigation(url, 'history.replaceState')) {
-        return;
-      }
-      return originalReplaceState(state, unused, url);
-    };
-
-    // Block history navigation (go/back/forward) if it looks suspicious
-    history.go = function (delta) {
-      if (delta === 0 || delta === undefined || delta === null) {
-        // Allow if user just interacted
-        if (userInteracted) {
-          log('✅ Allowed history.go(0) (user interaction)');
-          return originalGo(delta);
-        }
-        log('🛡️ BLOCKED history.go(0) reload');
-        blockedCount++;
-        reportBlocked();
-        return;
-      }
-      return originalGo(delta);
-    };
-
-    log('History API protection installed');
-  } catch (e) {
-    log('History API protection failed:', e);
+  function addWorkerLink(topic, connect) {
+    workerLinks.set(topic, connect);
   }
 
   // ============================================
-  // 4. localStorage Write Interception
+  // Channel Names
   // ============================================
 
-  // Common keys used for tab detection
-  const SUSPICIOUS_KEYS = [
-    'tabactive', 'tab_active', 'activetab', 'active_tab',
-    'tabcount', 'tab_count', 'opentabs', 'open_tabs',
-    'tabid', 'tab_id', 'tabsession', 'tab_session',
-    'multipleinstances', 'multiple_instances',
-    'singleinstance', 'single_instance',
-    'tabcheck', 'tab_check', 'tabheartbeat', 'tab_heartbeat'
-  ];
-
-  function isSuspiciousKey(key) {
-    if (!key) return false;
-    const lowerKey = key.toLowerCase().replace(/[-_]/g, '');
-    return SUSPICIOUS_KEYS.some(suspicious =>
-      lowerKey.includes(suspicious.replace(/[-_]/g, ''))
-    );
-  }
-
-  const originalSetItem = Storage.prototype.setItem;
-
-  Storage.prototype.setItem = function (key, value) {
-    if (isSuspiciousKey(key)) {
-      log(`Blocked suspicious localStorage write: "${key}" = "${value}"`);
-      blockedCount++;
-      reportBlocked();
-      return; // Don't actually write
+  // BroadcastChannel names the stub or isolation module handles; others get
+  // a working channel. A trailing '*' matches by prefix.
+  const channelRules = {
+    get channels() {
+      return pageConfig.suspiciousLists.channels;
     }
-    return originalSetItem.call(this, key, value);
   };
 
-  log('localStorage write interception installed');
+  // Self-contained, like connectChannel, so worker preludes can take it as a helper
+  function isSuspiciousChannel(name, { channels }) {
+    return channels.some(entry => entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : name === entry);
+  }
 
-  // ============================================
-  // 5. Statistics Reporting
-  // ============================================
+  // Taken before the stub or isolation module replaces it, for the modules'
+  // own channels
+  const OriginalBroadcastChannel = window.BroadcastChannel;
 
-  // Report blocked count periodically
-  setInterval(() => {
-    if (blockedCount > 0) {
-      log(`Total blocked: ${blockedCount} redirect attempts`);
+  // Relays a real channel's events to its stand-in `target`
+  function connectChannel(NativeBroadcastChannel, target, name) {
+    const channel = new NativeBroadcastChannel(name);
+    for (const type of ['message', 'messageerror']) {
+      channel.addEventListener(type, (event) => {
+        target.dispatchEvent(new MessageEvent(type, { data: event.data, origin: event.origin }));
+      });
     }
-  }, 30000);
+    return channel;
+  }
 
   // ============================================
-  // Initialization Complete
+  // Storage Key Names
   // ============================================
 
-  log('Redirect Blocker initialized successfully');
-  log(`Protecting page: ${originalLocation}`);
+  // Keys used for tab detection, for the storage key filter and the storage
+  // isolation reports. Entries match as substrings, '=' entries only as
+  // whole names. Learned keys are the heartbeat keys learned on earlier visits.
+  const storageKeyRules = {
+    get suspiciousKeys() {
+      return pageConfig.suspiciousLists.keys;
+    },
+    get learnedKeys() {
+      return pageConfig.learnedKeys || [];
+    }
+  };
+
+  // Self-contained so worker scopes can use it too
+  function matchesKeyRules(key, { suspiciousKeys }) {
+    if (!key) return false;
+    const normalize = (name) => name.toLowerCase().replace(/[-_]/g, '');
+    const lowerKey = normalize(key);
+    return suspiciousKeys.some(entry => {
+      const exact = entry.startsWith('=');
+      const suspicious = normalize(exact ? entry.slice(1) : entry);
+      return Boolean(suspicious) && (exact ? lowerKey === suspicious : lowerKey.includes(suspicious));
+    });
+  }
 
   // ============================================
-  // 6. Iframe & Environment Tunneling Protection
+  // Default Action Guard
   // ============================================
 
-  // Apply protections to a specific window object
-  function protectWindow(win) {
-    if (!win || win._rb_protected) return;
+  // Lets modules keep the page from cancelling the browser's own handling of
+  // an event (context menu, copy, ...) without hiding the event from it:
+  // preventDefault(), `returnValue = false` and `on*` handlers returning false
+  // (including inline attributes) are ignored while a guard applies.
+  //
+  // Event type -> [{ applies(event), onIgnored(event) }]
+  const defaultActionGuards = new Map();
+  // Wrapped on* handler -> the page's handler
+  const guardedHandlers = new WeakMap();
+  // Events whose cancellation was already reported
+  const ignoredCancels = new WeakSet();
+
+  function getDefaultActionGuards(event) {
+    const guards = defaultActionGuards.get(event.type);
+    return guards ? guards.filter(guard => guard.applies(event)) : [];
+  }
 
-    try {
-      // Mark as protected to avoid recursion
-      Object.defineProperty(win, '_rb_protected', { value: true, configurable: false });
-
-      // 1. Apply Function Override
-      const NativeFunction = win.Function;
-      win.Function = function (...args) {
-        const body = args[args.length - 1] || '';
-        if (typeof body === 'string' && (body.includes('debugger') || body === 'debugger')) {
-          log('🛡️ Blocked debugger in iframe/new window');
-          return function () { };
-        }
-        return NativeFunction.apply(this, args);
-      };
+  // True when a guard applies to the event, which is then reported once
+  function ignoreCancel(event) {
+    const guards = getDefaultActionGuards(event);
+    if (guards.length === 0) return false;
+    if (!ignoredCancels.has(event)) {
+      ignoredCancels.add(event);
+      guards.forEach(guard => guard.onIgnored(event));
+    }
+    return true;
+  }
 
-      // Patch prototype chain
-      win.Function.prototype = NativeFunction.prototype;
-      try {
-        Object.defineProperty(win.Function.prototype, 'constructor', {
-          get: function () {
-            const wrapper = function (...args) {
-              const body = args[args.length - 1] || '';
-              if (typeof body === 'string' && body.includes('debugger')) {
-                return function () { };
-              }
-              return NativeFunction.apply(this, args);
-            };
-            wrapper.prototype = NativeFunction.prototype;
-            wrapper.toString = () => NativeFunction.toString();
-            return wrapper;
-          },
-          configurable: false
-        });
-      } catch (e) { }
-
-      // 2. Block devtoolsDetector in the iframe
-      try {
-        Object.defineProperty(win, 'devtoolsDetector', {
-          get: function () { return { addListener: function () { }, launch: function () { } }; },
-          set: function () { },
-          configurable: false
-        });
-      } catch (e) { }
+  function installCancelHooks() {
+    const nativePreventDefault = Event.prototype.preventDefault;
+    const returnValueDescriptor = Object.getOwnPropertyDescriptor(Event.prototype, 'returnValue');
+
+    stealth.patch(Event.prototype, 'preventDefault', {
+      value: function () {
+        if (this.cancelable && ignoreCancel(this)) return;
+        return nativePreventDefault.call(this);
+      }
+    });
 
-      // 3. Block Eval
-      const originalEval = win.eval;
-      win.eval = function (code) {
-        if (typeof code === 'string' && code.includes('debugger')) {
-          return originalEval.call(this, code.replace(/debugger\s*;?/g, ''));
+    if (returnValueDescriptor && returnValueDescriptor.set) {
+      stealth.patch(Event.prototype, 'returnValue', {
+        set: function (value) {
+          if (!value && this.cancelable && ignoreCancel(this)) return;
+          returnValueDescriptor.set.call(this, value);
         }
-        return originalEval.call(this, code);
-      };
+      });
+    }
+  }
 
-      log('🛡️ Protected new iframe/window environment');
-    } catch (e) {
-      log('Failed to protect iframe:', e);
+  // A handler returning false cancels the event without calling preventDefault
+  function guardHandlerProperty(property) {
+    const owners = [window, Document.prototype, HTMLElement.prototype];
+    for (const owner of owners) {
+      const descriptor = Object.getOwnPropertyDescriptor(owner, property);
+      if (!descriptor || !descriptor.get || !descriptor.set) continue;
+
+      stealth.patch(owner, property, {
+        get: function () {
+          const handler = descriptor.get.call(this);
+          return guardedHandlers.get(handler) || handler;
+        },
+        set: function (handler) {
+          if (typeof handler !== 'function') return descriptor.set.call(this, handler);
+          const wrapper = function (event) {
+            const result = handler.apply(this, arguments);
+            return result === false && event.cancelable && ignoreCancel(event) ? undefined : result;
+          };
+          guardedHandlers.set(wrapper, handler);
+          descriptor.set.call(this, wrapper);
+        }
+      });
     }
   }
 
-  // Hook HTMLIFrameElement.prototype.contentWindow
-  try {
-    const iframeProto = HTMLIFrameElement.prototype;
-    const originalContentWindow = Object.getOwnPropertyDescriptor(iframeProto, 'contentWindow');
-
-    Object.defineProperty(iframeProto, 'contentWindow', {
-      get: function () {
-        const win = originalContentWindow.get.call(this);
-        protectWindow(win);
-        return win;
-      },
-      configurable: false
-    });
-    log('Iframe contentWindow hook installed');
-  } catch (e) { /* Ignore */ }
-
-  // Watch for new iframes
-  new MutationObserver((mutations) => {
-    for (const mutation of mutations) {
-      for (const node of mutation.addedNodes) {
-        if (node.tagName === 'IFRAME') {
-          // Try to protect immediately
-          if (node.contentWindow) protectWindow(node.contentWindow);
-          // And on load
-          node.addEventListener('load', () => protectWindow(node.contentWindow));
+  /**
+   * Keep the page from cancelling `type` events that `applies(event)`
+   * accepts (it sees `event.currentTarget` of the listener trying);
+   * `onIgnored(event)` runs once per event the page tried to cancel
+   */
+  function guardDefaultAction(type, applies, onIgnored) {
+    if (defaultActionGuards.size === 0) installCancelHooks();
+    if (!defaultActionGuards.has(type)) {
+      defaultActionGuards.set(type, []);
+      const property = `on${type}`;
+      guardHandlerProperty(property);
+
+      // Inline attribute handlers never pass through the setter; assigning
+      // the compiled handler back wraps it before it runs
+      nativeAddEventListener.call(window, type, (event) => {
+        for (const node of event.composedPath()) {
+          if (!(node instanceof Element) || !node.hasAttribute(property)) continue;
+          const handler = node[property];
+          if (typeof handler === 'function') node[property] = handler;
         }
-      }
+      }, true);
     }
-  }).observe(document.documentElement, { childList: true, subtree: true });
+    defaultActionGuards.get(type).push({ applies, onIgnored });
+  }
+
+  /**
+   * Page-level targets, where a site-wide block is registered
+   * (`document.oncontextmenu = () => false`, `<body oncontextmenu>`)
+   */
+  function isPageWide(target) {
+    return target === window || target === document ||
+      target === document.documentElement || target === document.body;
+  }
+
+  function describeTarget(target) {
+    if (target === window) return 'window';
+    if (target === document) return 'document';
+    return target.nodeName.toLowerCase();
+  }
+
+  // ============================================
+  // Module Namespace
+  // ============================================
+
+  // Modules run synchronously right after this file, before any page script,
+  // and pick up the shared helpers here. blocker-ready.js deletes it again.
+  Object.defineProperty(window, '__redirectBlocker__', {
+    value: {
+      log,
+      reportBlocked,
+      sendToBackground: postToBridge,
+      sanitizeCode,
+      getSanitizedCount: () => sanitizedCount,
+      createSanitizer,
+      createStealth,
+      patch: stealth.patch,
+      makeNative: stealth.makeNative,
+      makeNativeClass: stealth.makeNativeClass,
+      coverRealm: stealth.coverRealm,
+      addStealthCheck: stealth.addCheck,
+      runStealthSelfCheck: stealth.selfCheck,
+      addWorkerPrelude,
+      getWorkerPreludes: () => workerPreludes,
+      addWorkerLink,
+      getWorkerLinks: () => workerLinks,
+      getTabToken: () => tabToken,
+      whenTabKnown: () => tabTokenKnown,
+      channelRules,
+      isSuspiciousChannel,
+      connectChannel,
+      OriginalBroadcastChannel,
+      storageKeyRules,
+      matchesKeyRules,
+      guardDefaultAction,
+      isPageWide,
+      describeTarget,
+      originalLocation,
+      defaults,
+      getConfig: () => pageConfig,
+      applyConfig,
+      getBlockedCount: () => blockedCount
+    },
+    configurable: true
+  });
 
 })();
@@ -0,0 +1,112 @@
+/**
+ * Redirect Blocker - Bridge Script
+ *
+ * Runs in the ISOLATED world next to blocker.js (MAIN world) and relays
+ * messages between the blocker and the service worker. Page-world scripts
+ * cannot use chrome.runtime, so the blocker talks to this script instead.
+ *
+ * Handshake: before any page script runs, the blocker announces a random
+ * channel id on HANDSHAKE_EVENT. All further traffic uses event names derived
+ * from that id, which page scripts never get to see.
+ */
+
+(function () {
+  'use strict';
+
+  const HANDSHAKE_EVENT = 'redirect-blocker:handshake';
+  const READY_EVENT = 'redirect-blocker:bridge-ready';
+
+  // Message types the page world is allowed to forward to the service worker
+  const FORWARDED_TYPES = ['INCREMENT_BLOCKED', 'LOG_ENTRY', 'ALLOW_NAVIGATION_TARGET', 'LEARNED_STORAGE_KEY'];
+
+  let channelId = null;
+
+  // ============================================
+  // Page <-> Bridge Channel
+  // ============================================
+
+  function postToPage(message) {
+    if (!channelId) return;
+    document.dispatchEvent(new CustomEvent(`${channelId}:to-page`, {
+      detail: JSON.stringify(message)
+    }));
+  }
+
+  function handlePageMessage(event) {
+    let message;
+    try {
+      message = JSON.parse(event.detail);
+    } catch (e) {
+      return;
+    }
+
+    if (!message || !FORWARDED_TYPES.includes(message.type)) {
+      return;
+    }
+
+    try {
+      chrome.runtime.sendMessage(message).catch(() => {
+        // Ignore errors if background script is unreachable
+      });
+    } catch (e) {
+      // Extension context invalidated (e.g. extension reloaded)
+    }
+  }
+
+  function connect(event) {
+    // Only the first handshake is accepted; it happens before page scripts run
+    if (channelId || typeof event.detail !== 'string' || !event.detail) {
+      return;
+    }
+
+    channelId = event.detail;
+    document.removeEventListener(HANDSHAKE_EVENT, connect, true);
+    document.addEventListener(`${channelId}:to-bridge`, handlePageMessage, true);
+
+    postToPage({ type: 'CONNECTED' });
+    loadConfig();
+  }
+
+  // ============================================
+  // Configuration
+  // ============================================
+
+  // Last config sent, so settings changes that don't affect this page
+  // (another site's rule, a learned key elsewhere) are not pushed again
+  let lastConfig = null;
+
+  async function loadConfig() {
+    try {
+      const config = await chrome.runtime.sendMessage({
+        type: 'GET_PAGE_CONFIG',
+        url: window.location.href
+      });
+      if (!config || config.error) return;
+
+      const serialized = JSON.stringify(config);
+      if (serialized !== lastConfig) {
+        lastConfig = serialized;
+        postToPage({ type: 'CONFIG', config });
+      }
+    } catch (e) {
+      // Service worker unreachable (e.g. extension reloaded); stay quiet in the page console
+    }
+  }
+
+  // Push fresh config to the blocker whenever settings change
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.settings) {
+      loadConfig();
+    }
+  });
+
+  // ============================================
+  // Initialization
+  // ============================================
+
+  document.addEventListener(HANDSHAKE_EVENT, connect, true);
+
+  // If the blocker ran first, ask it to repeat its handshake
+  document.dispatchEvent(new CustomEvent(READY_EVENT));
+
+})();
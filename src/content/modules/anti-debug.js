@@ -0,0 +1,249 @@
+/**
+ * Redirect Blocker - Anti-Debug Module
+ *
+ * Neutralizes debugger traps injected through Function/eval/timers, the
+ * devtools-detector library, and the same tricks run from fresh iframes.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    log, reportBlocked, sanitizeCode, addWorkerPrelude, patch, coverRealm
+  } = window.__redirectBlocker__;
+
+  /**
+   * Build a function that removes debugger statements from code about to be
+   * compiled. It reports only when something was actually removed (a
+   * "debugger" string is left alone). Self-contained for worker scopes.
+   */
+  function createDebuggerStripper({ log, reportBlocked, sanitizeCode }) {
+    return function stripDebugger(code, mechanism) {
+      if (typeof code !== 'string' || !code.includes('debugger')) return code;
+      const clean = sanitizeCode(code, mechanism);
+      if (clean !== code) {
+        log(`Stripped debugger from ${mechanism}`);
+        reportBlocked(mechanism, code, 'stripped');
+      }
+      return clean;
+    };
+  }
+
+  const stripDebugger = createDebuggerStripper({ log, reportBlocked, sanitizeCode });
+
+  // ============================================
+  // Anti-Debugging Protection
+  // ============================================
+
+  // AGGRESSIVE: Anti-Debugger & Constructor Protection
+  // Replacing window.Function also makes it Function.prototype.constructor,
+  // which catches (function(){}).constructor("debugger")(), the most common bypass
+  (function antiDebugger() {
+    const NativeFunction = window.Function;
+
+    patch(window, 'Function', {
+      value: function (...args) {
+        if (args.length > 0) {
+          args[args.length - 1] = stripDebugger(args[args.length - 1], 'Function');
+        }
+        return NativeFunction.apply(this, args);
+      }
+    });
+
+    // Also patch the AsyncFunction constructor, reachable only through
+    // (async function(){}).constructor
+    try {
+      const NativeAsyncFunction = Object.getPrototypeOf(async function () { }).constructor;
+
+      patch(NativeAsyncFunction.prototype, 'constructor', {
+        value: function (...args) {
+          if (args.length > 0) {
+            args[args.length - 1] = stripDebugger(args[args.length - 1], 'AsyncFunction');
+          }
+          return NativeAsyncFunction.apply(this, args);
+        }
+      });
+    } catch (e) {
+      log('AsyncFunction protection failed:', e);
+    }
+
+    log('Hardened Function/AsyncFunction overrides installed');
+  })();
+
+  // Stand-in for the "devtools-detector" library
+  function createDetectorStub() {
+    return {
+      addListener: function () { },
+      launch: function () { },
+      isLaunch: function () { return false; },
+      stop: function () { },
+      setDetectDelay: function () { }
+    };
+  }
+
+  // AGGRESSIVE: Neutralize "devtools-detector" library specifically
+  // The user reported code uses this library: devtoolsDetector.addListener(...)
+  try {
+    patch(window, 'devtoolsDetector', {
+      get: function () {
+        log('Blocked access to devtoolsDetector');
+        return createDetectorStub();
+      },
+      set: function () {
+        log('Blocked setting devtoolsDetector');
+      }
+    });
+  } catch (e) {
+    log('Could not define devtoolsDetector property');
+  }
+
+  // Block eval with debugger
+  const originalEval = window.eval;
+  patch(window, 'eval', {
+    value: function (code) {
+      return originalEval.call(this, stripDebugger(code, 'eval'));
+    }
+  });
+
+  // Prevent setInterval/setTimeout debugger loops
+  for (const timer of ['setInterval', 'setTimeout']) {
+    const original = window[timer];
+    patch(window, timer, {
+      value: function (handler, timeout, ...args) {
+        return original.call(this, stripDebugger(handler, timer), timeout, ...args);
+      }
+    });
+  }
+
+  // Prevent console.clear() which sites use to hide debugging
+  patch(console, 'clear', {
+    value: function () {
+      log('Blocked console.clear()');
+    }
+  });
+
+  log('Anti-debugging protection installed');
+
+  // ============================================
+  // Iframe & Environment Tunneling Protection
+  // ============================================
+
+  const protectedWindows = new WeakSet();
+
+  // Apply protections to a specific window object
+  function protectWindow(win) {
+    if (!win || protectedWindows.has(win)) return;
+
+    try {
+      // Mark as protected to avoid recursion
+      protectedWindows.add(win);
+
+      // The iframe's own Function.prototype.toString must hide the patches too
+      coverRealm(win);
+
+      // 1. Apply Function Override (also its Function.prototype.constructor)
+      const NativeFunction = win.Function;
+      patch(win, 'Function', {
+        value: function (...args) {
+          if (args.length > 0) {
+            args[args.length - 1] = stripDebugger(args[args.length - 1], 'Function');
+          }
+          return NativeFunction.apply(this, args);
+        }
+      });
+
+      // 2. Block devtoolsDetector in the iframe
+      try {
+        patch(win, 'devtoolsDetector', {
+          get: function () { return createDetectorStub(); },
+          set: function () { }
+        });
+      } catch (e) { }
+
+      // 3. Block Eval
+      const originalEval = win.eval;
+      patch(win, 'eval', {
+        value: function (code) {
+          return originalEval.call(this, stripDebugger(code, 'eval'));
+        }
+      });
+
+      log('🛡️ Protected new iframe/window environment');
+    } catch (e) {
+      log('Failed to protect iframe:', e);
+    }
+  }
+
+  // Hook HTMLIFrameElement.prototype.contentWindow
+  try {
+    const originalContentWindow = Object.getOwnPropertyDescriptor(HTMLIFrameElement.prototype, 'contentWindow');
+
+    patch(HTMLIFrameElement.prototype, 'contentWindow', {
+      get: function () {
+        const win = originalContentWindow.get.call(this);
+        protectWindow(win);
+        return win;
+      }
+    });
+    log('Iframe contentWindow hook installed');
+  } catch (e) { /* Ignore */ }
+
+  // Watch for new iframes
+  new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.tagName === 'IFRAME') {
+          // Try to protect immediately
+          if (node.contentWindow) protectWindow(node.contentWindow);
+          // And on load
+          node.addEventListener('load', () => protectWindow(node.contentWindow));
+        }
+      }
+    }
+  }).observe(document.documentElement, { childList: true, subtree: true });
+
+  // ============================================
+  // Worker Scopes
+  // ============================================
+
+  // Dedicated workers are a favourite place for debugger loops, out of reach
+  // of the hooks above; the same stripping is installed there
+  function installWorkerAntiDebug(scope, api) {
+    const stripDebugger = createDebuggerStripper(api);
+
+    // Replacing Function also covers (function(){}).constructor("debugger")
+    const NativeFunction = scope.Function;
+    api.patch(scope, 'Function', {
+      value: function (...args) {
+        if (args.length > 0) {
+          args[args.length - 1] = stripDebugger(args[args.length - 1], 'Function');
+        }
+        return NativeFunction.apply(this, args);
+      }
+    });
+
+    const nativeEval = scope.eval;
+    api.patch(scope, 'eval', {
+      value: function (code) {
+        return nativeEval.call(this, stripDebugger(code, 'eval'));
+      }
+    });
+
+    for (const timer of ['setInterval', 'setTimeout']) {
+      const original = scope[timer];
+      api.patch(scope, timer, {
+        value: function (handler, timeout, ...args) {
+          return original.call(this, stripDebugger(handler, timer), timeout, ...args);
+        }
+      });
+    }
+
+    api.log('Worker anti-debugging installed');
+  }
+
+  addWorkerPrelude(installWorkerAntiDebug, { helpers: [createDebuggerStripper] });
+
+})();
@@ -0,0 +1,192 @@
+/**
+ * Redirect Blocker - BroadcastChannel Isolation Module
+ *
+ * Alternative to the BroadcastChannel stub: every tab gets its own private
+ * set of virtual channels. Messages between channels of this tab (its
+ * same-origin frames and their workers) are still delivered, but nothing
+ * reaches or arrives from other tabs, so the site behaves as if it were the
+ * only tab open. Only channels named in the site's
+ * suspicious channel list (by default all of them) are isolated.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    log, reportBlocked, addWorkerPrelude, addWorkerLink, whenTabKnown, patch, makeNativeClass,
+    channelRules, isSuspiciousChannel, connectChannel
+  } = window.__redirectBlocker__;
+
+  const OriginalBroadcastChannel = window.BroadcastChannel;
+
+  // ============================================
+  // Single-Tab BroadcastChannel
+  // ============================================
+
+  // Self-contained (see addWorkerPrelude) so it also runs in worker scopes.
+  // Returns connect(post), which links this scope's channels to another part
+  // of the tab (a worker, the page, the other frames): `post` gets this
+  // scope's messages, and the function returned takes the other part's.
+  function installBroadcastChannelIsolation(scope, { log, reportBlocked, patch, makeNativeClass }, channelRules) {
+    const OriginalBroadcastChannel = scope.BroadcastChannel;
+    const nativeSetTimeout = scope.setTimeout;
+    const nativeStructuredClone = scope.structuredClone;
+
+    // Channel name -> open channels of this scope -> their delivery function
+    const openChannels = new Map();
+    // Other parts of the tab, as { post }
+    const links = new Set();
+
+    // Delivered as a task, never synchronously
+    function deliver(name, data, sender) {
+      const origin = scope.location.origin;
+      for (const [peer, receive] of openChannels.get(name) || []) {
+        if (peer === sender) continue;
+        nativeSetTimeout(() => receive(data, origin), 0);
+      }
+    }
+
+    // Messages go everywhere in the tab except back where they came from
+    function forward(message, from) {
+      for (const link of links) {
+        if (link !== from) link.post(message);
+      }
+    }
+
+    function connect(post) {
+      const link = { post };
+      links.add(link);
+      return ({ name, data }) => {
+        deliver(name, data, null);
+        forward({ name, data }, link);
+      };
+    }
+
+    // Channels whose name isn't suspicious relay a real channel instead
+    class IsolatedBroadcastChannel extends EventTarget {
+      #name;
+      #channel = null;
+      #closed = false;
+      #onmessage = null;
+      #onmessageerror = null;
+
+      constructor(channelName) {
+        if (arguments.length === 0) {
+          throw new TypeError("Failed to construct 'BroadcastChannel': 1 argument required, but only 0 present.");
+        }
+        super();
+        this.#name = String(channelName);
+
+        // Event handler properties behave like listeners registered at creation
+        this.addEventListener('message', (event) => this.#onmessage && this.#onmessage.call(this, event));
+        this.addEventListener('messageerror', (event) => this.#onmessageerror && this.#onmessageerror.call(this, event));
+
+        if (!isSuspiciousChannel(this.#name, channelRules)) {
+          this.#channel = connectChannel(OriginalBroadcastChannel, this, this.#name);
+          return;
+        }
+
+        if (!openChannels.has(this.#name)) {
+          openChannels.set(this.#name, new Map());
+        }
+        openChannels.get(this.#name).set(this, (data, origin) => {
+          if (this.#closed) return;
+          this.dispatchEvent(new MessageEvent('message', { data: nativeStructuredClone(data), origin }));
+        });
+
+        log(`Isolated BroadcastChannel created: "${this.#name}"`);
+        reportBlocked('BroadcastChannel', this.#name, 'isolated');
+      }
+
+      get name() {
+        return this.#name;
+      }
+
+      postMessage(message) {
+        if (this.#channel) {
+          this.#channel.postMessage(message);
+          return;
+        }
+        if (this.#closed) {
+          throw new DOMException("Failed to execute 'postMessage' on 'BroadcastChannel': Channel is closed", 'InvalidStateError');
+        }
+
+        // Serialize now so errors surface synchronously, like the real API
+        const data = nativeStructuredClone(message);
+        deliver(this.#name, data, this);
+        forward({ name: this.#name, data }, null);
+      }
+
+
+      close() {
+        if (this.#channel) {
+          this.#channel.close();
+          return;
+        }
+        if (this.#closed) return;
+        this.#closed = true;
+        openChannels.get(this.#name)?.delete(this);
+      }
+
+      get onmessage() {
+        return this.#onmessage;
+      }
+
+      set onmessage(handler) {
+        this.#onmessage = typeof handler === 'function' ? handler : null;
+      }
+
+      get onmessageerror() {
+        return this.#onmessageerror;
+      }
+
+      set onmessageerror(handler) {
+        this.#onmessageerror = typeof handler === 'function' ? handler : null;
+      }
+    }
+
+    // Replace BroadcastChannel globally
+    if (OriginalBroadcastChannel) {
+      patch(scope, 'BroadcastChannel', { value: makeNativeClass(IsolatedBroadcastChannel, 'BroadcastChannel') });
+      log('BroadcastChannel isolation installed');
+    }
+    return connect;
+  }
+
+  // In a worker: linked to the page (or the worker that started it) and to
+  // the workers it starts
+  function installWorkerBroadcastChannelIsolation(scope, api, channelRules) {
+    const connect = installBroadcastChannelIsolation(scope, api, channelRules);
+    const receive = connect(api.linkParent('broadcast', message => receive(message)));
+    api.addWorkerLink('broadcast', connect);
+  }
+
+  const connect = installBroadcastChannelIsolation(window, { log, reportBlocked, patch, makeNativeClass }, channelRules);
+  addWorkerLink('broadcast', connect);
+  addWorkerPrelude(installWorkerBroadcastChannelIsolation, {
+    helpers: [installBroadcastChannelIsolation, isSuspiciousChannel, connectChannel],
+    getData: () => ({ channels: channelRules.channels })
+  });
+
+  // ============================================
+  // Frames
+  // ============================================
+
+  // The same-origin frames of a tab share a real channel named after the
+  // tab's token; other tabs (and other origins) never reach it
+  if (OriginalBroadcastChannel) {
+    let tabChannel = null;
+    const queued = [];
+    const receive = connect(message => (tabChannel ? tabChannel.postMessage(message) : queued.push(message)));
+
+    whenTabKnown().then((tabToken) => {
+      tabChannel = new OriginalBroadcastChannel(`rb-broadcast:${tabToken}`);
+      tabChannel.onmessage = ({ data }) => receive(data);
+      queued.splice(0).forEach(message => tabChannel.postMessage(message));
+    });
+  }
+
+})();
@@ -0,0 +1,106 @@
+/**
+ * Redirect Blocker - BroadcastChannel Module
+ *
+ * Replaces BroadcastChannel with a stub so tabs cannot discover each other.
+ * Only channels named in the site's suspicious channel list (by default all
+ * of them) are stubbed; the others keep working.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    log, reportBlocked, addWorkerPrelude, patch, makeNativeClass,
+    channelRules, isSuspiciousChannel, connectChannel
+  } = window.__redirectBlocker__;
+
+  // ============================================
+  // BroadcastChannel Override
+  // ============================================
+
+  // Self-contained (see addWorkerPrelude) so it also runs in worker scopes
+  function installBroadcastChannelStub(scope, { log, reportBlocked, patch, makeNativeClass }, channelRules) {
+    const OriginalBroadcastChannel = scope.BroadcastChannel;
+
+    // Listeners and handlers are accepted but never called, except on
+    // channels whose name isn't suspicious, which relay a real channel
+    class BlockedBroadcastChannel extends EventTarget {
+      #name;
+      #channel = null;
+      #onmessage = null;
+      #onmessageerror = null;
+
+      constructor(channelName) {
+        if (arguments.length === 0) {
+          throw new TypeError("Failed to construct 'BroadcastChannel': 1 argument required, but only 0 present.");
+        }
+        super();
+        this.#name = String(channelName);
+
+        // Event handler properties behave like listeners registered at creation
+        this.addEventListener('message', (event) => this.#onmessage && this.#onmessage.call(this, event));
+        this.addEventListener('messageerror', (event) => this.#onmessageerror && this.#onmessageerror.call(this, event));
+
+        if (!isSuspiciousChannel(this.#name, channelRules)) {
+          this.#channel = connectChannel(OriginalBroadcastChannel, this, this.#name);
+          return;
+        }
+        log(`Blocked BroadcastChannel creation: "${this.#name}"`);
+        reportBlocked('BroadcastChannel', this.#name, 'stubbed');
+      }
+
+      get name() {
+        return this.#name;
+      }
+
+      postMessage(message) {
+        if (this.#channel) {
+          this.#channel.postMessage(message);
+          return;
+        }
+        log(`Blocked BroadcastChannel.postMessage on "${this.#name}":`, message);
+        // Don't actually send the message
+      }
+
+      close() {
+        if (this.#channel) {
+          this.#channel.close();
+          return;
+        }
+        log(`BroadcastChannel "${this.#name}" closed`);
+      }
+
+      get onmessage() {
+        return this.#onmessage;
+      }
+
+      set onmessage(handler) {
+        this.#onmessage = typeof handler === 'function' ? handler : null;
+      }
+
+      get onmessageerror() {
+        return this.#onmessageerror;
+      }
+
+      set onmessageerror(handler) {
+        this.#onmessageerror = typeof handler === 'function' ? handler : null;
+      }
+    }
+
+    // Replace BroadcastChannel globally
+    if (OriginalBroadcastChannel) {
+      patch(scope, 'BroadcastChannel', { value: makeNativeClass(BlockedBroadcastChannel, 'BroadcastChannel') });
+      log('BroadcastChannel override installed');
+    }
+  }
+
+  installBroadcastChannelStub(window, { log, reportBlocked, patch, makeNativeClass }, channelRules);
+  addWorkerPrelude(installBroadcastChannelStub, {
+    helpers: [isSuspiciousChannel, connectChannel],
+    getData: () => ({ channels: channelRules.channels })
+  });
+
+})();
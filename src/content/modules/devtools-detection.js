@@ -0,0 +1,191 @@
+/**
+ * Redirect Blocker - DevTools Detection Module
+ *
+ * Normalizes the signals sites read to tell whether DevTools is open: the
+ * window frame size, console arguments with getter/toString traps, and
+ * performance.now() jumps around a `debugger` pause or slow console calls. Each
+ * technique is reported under its own mechanism, once per page.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const { log, reportBlocked, patch, getConfig, getSanitizedCount } = window.__redirectBlocker__;
+
+  const reportedMechanisms = new Set();
+
+  function reportOnce(mechanism, target) {
+    if (reportedMechanisms.has(mechanism)) return;
+    reportedMechanisms.add(mechanism);
+    log(`Neutralized ${mechanism}: ${target}`);
+    reportBlocked(mechanism, target, 'neutralized');
+  }
+
+  // ============================================
+  // Clocks
+  // ============================================
+
+  // A paused `debugger` between two clock reads of the same synchronous run
+  // (`t = performance.now(); debugger; performance.now() - t > 100`) shows
+  // up as a jump. Within that run, such jumps and the time spent inside
+  // console calls are taken off performance.now(); the correction is
+  // dropped once the run ends, so the clock stays monotonic and catches up
+  // with real time. Date keeps real time.
+  //
+  // Jumps are only hidden where a paused debugger is plausible: on sites with
+  // the anti-debug profile, or in a run that compiled code the sanitizer had
+  // to strip debugger statements from. Anywhere else a long gap is real
+  // work, which profiling and timing code must see.
+  const PAUSE_THRESHOLD = 100; // ms
+  const PAUSE_STEP = 1; // ms a hidden pause still advances the clock
+  const CONSOLE_REPORT_THRESHOLD = 5; // ms
+
+  const nativePerformanceNow = Performance.prototype.now;
+  const nativeQueueMicrotask = window.queueMicrotask;
+
+  // Time hidden in this synchronous run, and the last reading (minus
+  // hiddenTime) in it
+  let hiddenTime = 0;
+  let lastRead = null;
+  let checkpointQueued = false;
+  // Sanitized scripts so far when this run started (see getSanitizedCount)
+  let runSanitizedCount = getSanitizedCount();
+
+  function readNativeClock() {
+    return nativePerformanceNow.call(performance);
+  }
+
+  // Reset the correction at the end of the current run
+  function queueCheckpoint() {
+    if (checkpointQueued) return;
+    checkpointQueued = true;
+    nativeQueueMicrotask(() => {
+      hiddenTime = 0;
+      lastRead = null;
+      checkpointQueued = false;
+      runSanitizedCount = getSanitizedCount();
+    });
+  }
+
+  function isPausePlausible() {
+    return getConfig().profile === 'antiDebug' || getSanitizedCount() !== runSanitizedCount;
+  }
+
+  /**
+   * Time to take off a clock read at native performance time `now`
+   */
+  function getHiddenTime(now) {
+    const visible = now - hiddenTime;
+    if (lastRead !== null && visible - lastRead > PAUSE_THRESHOLD && isPausePlausible()) {
+      const gap = visible - lastRead;
+      hiddenTime += gap - PAUSE_STEP;
+      reportOnce('DevTools debugger timing', `${Math.round(gap)} ms pause`);
+    }
+    lastRead = now - hiddenTime;
+    queueCheckpoint();
+    return hiddenTime;
+  }
+
+  function hideDuration(start, mechanism, target) {
+    const duration = readNativeClock() - start;
+    hiddenTime += duration;
+    queueCheckpoint();
+    if (duration > CONSOLE_REPORT_THRESHOLD) reportOnce(mechanism, target);
+  }
+
+  patch(Performance.prototype, 'now', {
+    value: function () {
+      const now = nativePerformanceNow.call(this);
+      return now - getHiddenTime(now);
+    }
+  });
+
+  // ============================================
+  // Console
+  // ============================================
+
+  // DevTools reads an element's id and calls toString on regexes, dates and
+  // functions when it formats them, so a getter or custom toString there only
+  // runs while DevTools is open. Only these known trap shapes are dropped
+  // (`Object.defineProperty(element, 'id', { get() { open = true; } })`, a
+  // regex with its own toString); other objects with their own getters or
+  // toString are logged as they are.
+  function isConsoleTrap(value) {
+    if (value instanceof Element) {
+      const descriptor = Reflect.getOwnPropertyDescriptor(value, 'id');
+      return Boolean(descriptor && descriptor.get);
+    }
+    if (value instanceof RegExp || value instanceof Date || typeof value === 'function') {
+      const descriptor = Reflect.getOwnPropertyDescriptor(value, 'toString');
+      return Boolean(descriptor) && (Boolean(descriptor.get) || typeof descriptor.value === 'function');
+    }
+    return false;
+  }
+
+  const CONSOLE_METHODS = [
+    'log', 'debug', 'info', 'warn', 'error', 'dir', 'dirxml', 'table',
+    'trace', 'group', 'groupCollapsed', 'assert', 'count', 'timeLog'
+  ];
+
+  for (const method of CONSOLE_METHODS) {
+    const original = console[method];
+    if (typeof original !== 'function') continue;
+
+    // Trap arguments are dropped; a call left with nothing to log is skipped.
+    // The time the call takes (console.table of a large array is slow only
+    // with DevTools open) is hidden from performance.now() for this run.
+    patch(console, method, {
+      value: function (...args) {
+        const safeArgs = args.filter(arg => !isConsoleTrap(arg));
+        if (safeArgs.length < args.length) {
+          reportOnce('DevTools console getter', `console.${method}`);
+          if (safeArgs.length === 0) return;
+        }
+
+        const start = readNativeClock();
+        try {
+          return original.apply(this, safeArgs);
+        } finally {
+          hideDuration(start, 'DevTools console timing', `console.${method}`);
+        }
+      }
+    });
+  }
+
+  // ============================================
+  // Window Size
+  // ============================================
+
+  // Docked DevTools shrinks the viewport but not the window, so
+  // `outerWidth - innerWidth > 160` is a common check. A larger gap is
+  // replaced with the last normal one (initially a typical browser frame).
+  const SIZE_GAP_THRESHOLD = 160;
+  const normalGaps = { outerWidth: 16, outerHeight: 88 };
+  const innerProperties = { outerWidth: 'innerWidth', outerHeight: 'innerHeight' };
+
+  for (const property of ['outerWidth', 'outerHeight']) {
+    const descriptor = Object.getOwnPropertyDescriptor(window, property);
+    const innerDescriptor = Object.getOwnPropertyDescriptor(window, innerProperties[property]);
+    if (!descriptor || !descriptor.get || !innerDescriptor || !innerDescriptor.get) continue;
+
+    patch(window, property, {
+      get: function () {
+        const outer = descriptor.get.call(this);
+        const inner = innerDescriptor.get.call(window);
+        const gap = outer - inner;
+        if (gap <= SIZE_GAP_THRESHOLD) {
+          normalGaps[property] = Math.max(gap, 0);
+          return outer;
+        }
+        reportOnce('DevTools window size', `${property} - ${innerProperties[property]} = ${gap}`);
+        return inner + normalGaps[property];
+      }
+    });
+  }
+
+  log('DevTools detection neutralizing installed');
+
+})();
@@ -0,0 +1,600 @@
+/**
+ * Redirect Blocker - Navigation Guard Module
+ *
+ * Blocks programmatic redirects to the homepage/login and reload loops via
+ * the location and History APIs, links, forms and meta refresh, and shows an in-page notice
+ * that lets the user follow a blocked redirect anyway. Where the browser has
+ * the Navigation API, a `navigate` handler also catches navigations no
+ * method override can see, such as `location.href = '/'`.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    log, reportBlocked, defaults, getConfig, sendToBackground, originalLocation, patch
+  } = window.__redirectBlocker__;
+
+  // ============================================
+  // location.href Protection
+  // ============================================
+
+  // Suspicious redirect targets (paths that indicate forced logout/redirect),
+  // from the page configuration
+  function getSuspiciousPaths() {
+    return getConfig().suspiciousLists.paths;
+  }
+
+  // Track if user has interacted (clicks, etc.) - legitimate navigation
+  // 500ms window to allow for async operations after user action.
+  // Synthetic events (a.click(), dispatchEvent) don't count.
+  let userInteracted = false;
+  document.addEventListener('click', (e) => { if (e.isTrusted) { userInteracted = true; setTimeout(() => { userInteracted = false; }, 500); } }, true);
+  document.addEventListener('submit', (e) => { if (e.isTrusted) { userInteracted = true; setTimeout(() => { userInteracted = false; }, 500); } }, true);
+  document.addEventListener('keydown', (e) => {
+    // Allow navigation from keyboard shortcuts (Enter on links, etc.)
+    if (e.isTrusted && e.key === 'Enter') {
+      userInteracted = true;
+      setTimeout(() => { userInteracted = false; }, 500);
+    }
+  }, true);
+
+  // Targets the user allowed during this page's lifetime ("Always allow")
+  const sessionAllowedTargets = new Set();
+
+  // Allowlist entries are origin + pathname, so query strings don't matter
+  function getTargetKey(targetUrl) {
+    return targetUrl.origin + targetUrl.pathname;
+  }
+
+  function isAllowedTarget(targetUrl) {
+    const key = getTargetKey(targetUrl);
+    return sessionAllowedTargets.has(key) || (getConfig().allowedTargets || []).includes(key);
+  }
+
+  // Built-in identity providers (src/shared/defaults.js), trusted until the
+  // configuration arrives. Entries are labels like the service worker's:
+  // '*.okta.com' includes subdomains, 'github.com/login/*' is a path prefix.
+  const TRUSTED_DESTINATIONS = defaults.trustedDestinations.map((label) => {
+    const includeSubdomains = label.startsWith('*.');
+    const [host, ...path] = label.slice(includeSubdomains ? 2 : 0).split('/');
+    return { host, includeSubdomains, path: path.length > 0 ? `/${path.join('/')}`.replace(/\/?\*$/, '') : '' };
+  });
+
+  // Trusted destinations (identity providers, payment pages...) from the
+  // site's rule, matched by host (optionally with subdomains) and path prefix
+  function isTrustedDestination(targetUrl) {
+    const hostname = targetUrl.hostname.toLowerCase();
+    return (getConfig().trustedDestinations || TRUSTED_DESTINATIONS).some(({ host, includeSubdomains, path }) =>
+      (hostname === host || (includeSubdomains && hostname.endsWith('.' + host))) &&
+      (!path || targetUrl.pathname === path || targetUrl.pathname.startsWith(path + '/'))
+    );
+  }
+
+  /**
+   * Smart navigation blocking - only blocks suspicious redirect patterns.
+   * Reloads (`reload: true`) are blocked unless the user just interacted.
+   */
+  function shouldBlockNavigation(newUrl, method = 'unknown', { reload = false } = {}) {
+    // Protection was switched off for this site after the page loaded
+    if (getConfig().protect === false) {
+      return false;
+    }
+
+    try {
+      const currentUrl = new URL(originalLocation);
+      const targetUrl = new URL(newUrl, currentUrl.origin);
+
+      if (reload) {
+        // Allow if user just interacted (legitimate refresh)
+        if (userInteracted) {
+          log(`✅ Allowed reload [${method}] (user interaction)`);
+          return false;
+        }
+        log(`🛡️ BLOCKED reload [${method}]`);
+        reportBlocked(method, window.location.href);
+        return true;
+      }
+
+      const isSameOrigin = targetUrl.origin === currentUrl.origin;
+      const isFromDeepPage = currentUrl.pathname !== '/' && currentUrl.pathname.split('/').filter(Boolean).length > 0;
+      const isToSuspiciousPath = getSuspiciousPaths().some(p =>
+        targetUrl.pathname === p || targetUrl.pathname === p + '/' || targetUrl.pathname.startsWith(p + '/')
+      );
+
+      // Allow if user just clicked something (legitimate navigation)
+      if (userInteracted) {
+        log(`✅ Allowed navigation [${method}] (user interaction): ${targetUrl.pathname}`);
+        return false;
+      }
+
+      // Allow targets the user chose to always allow on this site
+      if (isAllowedTarget(targetUrl)) {
+        log(`✅ Allowed navigation [${method}] (allowed target): ${targetUrl.href}`);
+        return false;
+      }
+
+      // Allow cross-origin hand-offs to trusted destinations (SSO, payment)
+      if (!isSameOrigin && isTrustedDestination(targetUrl)) {
+        log(`✅ Allowed navigation [${method}] (trusted destination): ${targetUrl.href}`);
+        return false;
+      }
+
+      // Log navigation attempts for debugging
+      log(`🔍 Navigation attempt [${method}]:`, {
+        from: currentUrl.pathname,
+        to: targetUrl.pathname,
+        sameOrigin: isSameOrigin,
+        toSuspicious: isToSuspiciousPath,
+        fromDeepPage: isFromDeepPage
+      });
+
+      // Block: Same-origin redirect from a deep page to homepage/login (classic multi-tab attack)
+      if (isSameOrigin && isFromDeepPage && isToSuspiciousPath) {
+        log(`🛡️ BLOCKED suspicious redirect [${method}]: ${currentUrl.pathname} -> ${targetUrl.pathname}`);
+        reportBlocked(method, targetUrl.href);
+        return true;
+      }
+
+      // Block: Cross-origin redirects (only if programmatic, not user-initiated)
+      if (!isSameOrigin) {
+        log(`🛡️ BLOCKED cross-origin redirect [${method}]: ${currentUrl.origin} -> ${targetUrl.origin}`);
+        reportBlocked(method, targetUrl.href);
+        return true;
+      }
+
+    } catch (e) {
+      log('URL parsing failed:', e);
+    }
+
+    return false;
+  }
+
+  // ============================================
+  // Blocked Navigation Notice
+  // ============================================
+
+  const NOTICE_STYLE = `
+    :host { all: initial; }
+    .notice {
+      position: fixed; top: 16px; right: 16px; z-index: 2147483647;
+      max-width: 360px; padding: 12px 14px; border-radius: 10px;
+      background: #1a1a2e; color: #eaeaea; border: 1px solid #e94560;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
+      font: 13px/1.4 'Segoe UI', -apple-system, BlinkMacSystemFont, sans-serif;
+    }
+    .title { font-weight: 600; color: #e94560; margin-bottom: 4px; }
+    .target { font-family: Consolas, monospace; font-size: 12px; word-break: break-all; color: #a0a0a0; }
+    .actions { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 10px; }
+    button {
+      font: inherit; font-size: 12px; padding: 4px 10px; border-radius: 6px;
+      border: none; cursor: pointer; background: rgba(255, 255, 255, 0.1); color: #eaeaea;
+    }
+    button:hover { background: rgba(255, 255, 255, 0.2); }
+    button.primary { background: #e94560; color: #fff; }
+  `;
+
+  let noticeHost = null;
+
+  function dismissNotice() {
+    if (noticeHost) {
+      noticeHost.remove();
+      noticeHost = null;
+    }
+  }
+
+  /**
+   * Show a notice naming the blocked target, with options to follow it anyway.
+   * Only the latest blocked navigation is shown.
+   */
+  function showBlockedNotice(targetHref, method, navigate) {
+    if (!document.documentElement) return;
+    dismissNotice();
+
+    noticeHost = document.createElement('redirect-blocker-notice');
+    const root = noticeHost.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = NOTICE_STYLE;
+
+    const notice = document.createElement('div');
+    notice.className = 'notice';
+    notice.setAttribute('role', 'alert');
+
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.textContent = `Redirect blocked (${method})`;
+
+    const target = document.createElement('div');
+    target.className = 'target';
+    target.textContent = targetHref;
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+
+    const addButton = (label, onClick, className = '') => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      if (className) button.className = className;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        dismissNotice();
+        onClick();
+      });
+      actions.appendChild(button);
+    };
+
+    addButton('Allow once', () => {
+      log(`✅ User allowed navigation once [${method}]: ${targetHref}`);
+      navigate();
+    }, 'primary');
+
+    addButton('Always allow on this site', () => {
+      const key = getTargetKey(new URL(targetHref));
+      sessionAllowedTargets.add(key);
+      sendToBackground({ type: 'ALLOW_NAVIGATION_TARGET', url: window.location.href, target: key });
+      log(`✅ User always allowed navigation target: ${key}`);
+      navigate();
+    });
+
+    addButton('Dismiss', () => { });
+
+    notice.append(title, target, actions);
+    root.append(style, notice);
+    document.documentElement.appendChild(noticeHost);
+  }
+
+  // ============================================
+  // Navigation Decisions
+  // ============================================
+
+  // Navigations already decided by a method override, so the navigate event
+  // handler lets them through instead of judging them a second time. Form
+  // submissions start their navigation a task later, hence the time window.
+  const APPROVAL_TTL = 1000;
+  const approvedNavigations = new Set();
+
+  function runApproved(url, navigate) {
+    try {
+      const key = getTargetKey(new URL(url, window.location.href));
+      approvedNavigations.add(key);
+      setTimeout(() => approvedNavigations.delete(key), APPROVAL_TTL);
+    } catch (e) { /* unparsable URLs never reach the navigate handler */ }
+    return navigate();
+  }
+
+  /**
+   * Run `navigate` unless the navigation should be blocked; if it is, offer
+   * the user to follow it anyway (reloads are just dropped)
+   */
+  function guardNavigation(url, method, navigate, { reload = false } = {}) {
+    if (!shouldBlockNavigation(url, method, { reload })) {
+      return runApproved(url, navigate);
+    }
+    if (reload) return;
+
+    let targetHref = String(url);
+    try {
+      targetHref = new URL(url, window.location.href).href;
+    } catch (e) { /* show as given */ }
+    showBlockedNotice(targetHref, method, () => runApproved(targetHref, navigate));
+  }
+
+  // Only http(s) navigations can be redirects; javascript:, mailto: etc. pass
+  function isWebUrl(url) {
+    try {
+      const { protocol } = new URL(url, window.location.href);
+      return protocol === 'http:' || protocol === 'https:';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Window targets that navigate this page (or its ancestors) rather than a new one
+  function targetsThisPage(target) {
+    return !target || ['_self', '_top', '_parent'].includes(target.toLowerCase());
+  }
+
+  // ============================================
+  // Location & History API
+  // ============================================
+
+  // NOTE: window.location cannot be overridden in modern browsers.
+  // location.href/pathname/... assignments are only caught by the Navigation
+  // API handler below; these overrides label the explicit method calls.
+
+  // Override location.assign, location.replace, and location.reload
+  try {
+    const originalAssign = window.location.assign.bind(window.location);
+    const originalReplace = window.location.replace.bind(window.location);
+    const originalReload = window.location.reload.bind(window.location);
+
+    patch(window.location, 'assign', {
+      value: function (url) {
+        return guardNavigation(url, 'location.assign', () => originalAssign(url));
+      }
+    });
+
+    patch(window.location, 'replace', {
+      value: function (url) {
+        return guardNavigation(url, 'location.replace', () => originalReplace(url));
+      }
+    });
+
+    patch(window.location, 'reload', {
+      value: function () {
+        return guardNavigation(window.location.href, 'location.reload', () => originalReload(), { reload: true });
+      }
+    });
+
+    log('location methods protection installed');
+  } catch (e) {
+    log('location methods could not be overridden (read-only):', e);
+  }
+
+  // Block History API manipulation
+  try {
+    const originalPushState = History.prototype.pushState;
+    const originalReplaceState = History.prototype.replaceState;
+    const originalGo = History.prototype.go;
+
+    patch(History.prototype, 'pushState', {
+      value: function (state, unused, url) {
+        if (this !== history || !url) {
+          return originalPushState.apply(this, arguments);
+        }
+        return guardNavigation(url, 'history.pushState', () => originalPushState.call(this, state, unused, url));
+      }
+    });
+
+    patch(History.prototype, 'replaceState', {
+      value: function (state, unused, url) {
+        if (this !== history || !url) {
+          return originalReplaceState.apply(this, arguments);
+        }
+        return guardNavigation(url, 'history.replaceState', () => originalReplaceState.call(this, state, unused, url));
+      }
+    });
+
+    // Block history navigation (go/back/forward) if it looks suspicious
+    patch(History.prototype, 'go', {
+      value: function (delta) {
+        if (this === history && (delta === 0 || delta === undefined || delta === null)) {
+          return guardNavigation(window.location.href, 'history.go', () => originalGo.call(this, delta), { reload: true });
+        }
+        return originalGo.apply(this, arguments);
+      }
+    });
+
+    log('History API protection installed');
+  } catch (e) {
+    log('History API protection failed:', e);
+  }
+
+  // ============================================
+  // Link & Form Navigation
+  // ============================================
+
+  // Programmatic a.click() and form.submit()/requestSubmit(). The navigate
+  // handler sees these too, but only these overrides can label them in
+  // browsers without NavigateEvent.sourceElement (or the Navigation API).
+  const originalSubmit = HTMLFormElement.prototype.submit;
+
+  try {
+    const originalClick = HTMLElement.prototype.click;
+    const originalRequestSubmit = HTMLFormElement.prototype.requestSubmit;
+
+    // click() is inherited from HTMLElement; only links are guarded
+    patch(HTMLElement.prototype, 'click', {
+      value: function () {
+        if (!(this instanceof HTMLAnchorElement) || !this.href || !isWebUrl(this.href) ||
+          !targetsThisPage(this.target) || this.hasAttribute('download')) {
+          return originalClick.call(this);
+        }
+        return guardNavigation(this.href, 'a.click', () => originalClick.call(this));
+      }
+    });
+
+    patch(HTMLFormElement.prototype, 'submit', {
+      value: function () {
+        if (this.method === 'dialog' || !isWebUrl(this.action) || !targetsThisPage(this.target)) {
+          return originalSubmit.call(this);
+        }
+        return guardNavigation(this.action, 'form.submit', () => originalSubmit.call(this));
+      }
+    });
+
+    if (originalRequestSubmit) {
+      patch(HTMLFormElement.prototype, 'requestSubmit', {
+        value: function (submitter) {
+          const action = submitter && submitter.hasAttribute('formaction') ? submitter.formAction : this.action;
+          const target = submitter && submitter.hasAttribute('formtarget') ? submitter.formTarget : this.target;
+          if (this.method === 'dialog' || !isWebUrl(action) || !targetsThisPage(target)) {
+            return originalRequestSubmit.apply(this, arguments);
+          }
+          const args = arguments;
+          return guardNavigation(action, 'form.requestSubmit', () => originalRequestSubmit.apply(this, args));
+        }
+      });
+    }
+
+    log('Link & form navigation protection installed');
+  } catch (e) {
+    log('Link & form navigation protection failed:', e);
+  }
+
+  // ============================================
+  // Meta Refresh
+  // ============================================
+
+  // Refresh targets neutralized on this page. Once a refresh element is in the
+  // document the browser has already scheduled it, so the navigate handler
+  // cancels the scheduled navigation when it comes.
+  const blockedRefreshTargets = new Set();
+  // Element -> refresh value last checked, so each value is judged once
+  const checkedRefreshValues = new WeakMap();
+
+  const nativeGetAttribute = Element.prototype.getAttribute;
+  const nativeSetAttribute = Element.prototype.setAttribute;
+
+  /**
+   * URL a refresh value ("5", "0;url=/", "0; URL='/login'") navigates to;
+   * without a URL the page refreshes itself
+   */
+  function getRefreshTarget(content) {
+    const match = /^\s*[\d.]*\s*[;,]?\s*(?:url\s*=\s*)?(.*)$/i.exec(content);
+    let url = match ? match[1].trim() : '';
+    if (/^['"]/.test(url)) {
+      url = url.slice(1).replace(/['"].*$/, '');
+    }
+    return url || window.location.href;
+  }
+
+  function checkMetaRefresh(meta) {
+    const httpEquiv = nativeGetAttribute.call(meta, 'http-equiv');
+    const content = nativeGetAttribute.call(meta, 'content');
+    if (!httpEquiv || httpEquiv.trim().toLowerCase() !== 'refresh' || !content || !content.trim()) return;
+    if (checkedRefreshValues.get(meta) === content) return;
+    checkedRefreshValues.set(meta, content);
+
+    const target = getRefreshTarget(content);
+    if (!isWebUrl(target) || !shouldBlockNavigation(target, 'meta refresh')) return;
+
+    // An empty value is not a valid refresh, so browsers ignore the element
+    nativeSetAttribute.call(meta, 'content', '');
+    const targetHref = new URL(target, window.location.href).href;
+    blockedRefreshTargets.add(getTargetKey(new URL(targetHref)));
+    log(`🛡️ Neutralized meta refresh: ${content}`);
+
+    showBlockedNotice(targetHref, 'meta refresh', () => runApproved(targetHref, () => {
+      window.location.href = targetHref;
+    }));
+  }
+
+  function checkAddedNode(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    if (node instanceof HTMLMetaElement) {
+      checkMetaRefresh(node);
+    } else if (node.firstElementChild) {
+      node.querySelectorAll('meta[http-equiv]').forEach(checkMetaRefresh);
+    }
+  }
+
+  // Parser-inserted and dynamically added elements
+  const metaObserver = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        if (mutation.target instanceof HTMLMetaElement) checkMetaRefresh(mutation.target);
+      } else {
+        mutation.addedNodes.forEach(checkAddedNode);
+      }
+    }
+  });
+  metaObserver.observe(document, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['http-equiv', 'content']
+  });
+
+  // Refresh values set through the element's properties, caught before the
+  // element is inserted. setAttribute() is left to the observer: patching it
+  // would put a hook on every attribute write of the page.
+  try {
+    for (const property of ['content', 'httpEquiv']) {
+      const descriptor = Object.getOwnPropertyDescriptor(HTMLMetaElement.prototype, property);
+      patch(HTMLMetaElement.prototype, property, {
+        set: function (value) {
+          descriptor.set.call(this, value);
+          checkMetaRefresh(this);
+        }
+      });
+    }
+
+    log('Meta refresh protection installed');
+  } catch (e) {
+    log('Meta refresh setter protection failed:', e);
+  }
+
+  // ============================================
+  // Navigation API
+  // ============================================
+
+  /**
+   * Best label for a navigation seen only through the navigate event
+   */
+  function getNavigateMethod(event) {
+    if (event.navigationType === 'reload') return 'location.reload';
+
+    const source = event.sourceElement;
+    if (source) {
+      if (source instanceof HTMLFormElement || source.form) return 'form.submit';
+      if (source.closest && source.closest('a, area')) return 'a.click';
+    }
+    if (event.formData) return 'form.submit';
+
+    if (event.destination.sameDocument) {
+      return event.navigationType === 'replace' ? 'history.replaceState' : 'history.pushState';
+    }
+    return event.navigationType === 'replace' ? 'location.replace' : 'location.href';
+  }
+
+  function handleNavigate(event) {
+    const url = event.destination.url;
+
+    // Only page-initiated http(s) navigations away from the current entry
+    if (event.userInitiated || event.hashChange || event.downloadRequest ||
+      event.navigationType === 'traverse' || !isWebUrl(url)) {
+      return;
+    }
+
+    const key = getTargetKey(new URL(url));
+    if (approvedNavigations.has(key)) {
+      approvedNavigations.delete(key);
+      return;
+    }
+
+    // A refresh scheduled before its element was neutralized (already reported)
+    if (blockedRefreshTargets.has(key) && event.cancelable) {
+      blockedRefreshTargets.delete(key);
+      event.preventDefault();
+      log(`🛡️ Cancelled scheduled meta refresh: ${url}`);
+      return;
+    }
+
+    const method = getNavigateMethod(event);
+    const reload = event.navigationType === 'reload';
+    if (!shouldBlockNavigation(url, method, { reload })) {
+      return;
+    }
+
+    if (!event.cancelable) {
+      log(`⚠️ Could not cancel navigation [${method}]: ${url}`);
+      return;
+    }
+    event.preventDefault();
+    if (reload) return;
+
+    // Follow it anyway: re-submit the form if there was one, otherwise navigate
+    const form = event.sourceElement && (event.sourceElement.form || event.sourceElement);
+    const history = event.navigationType === 'replace' ? 'replace' : 'auto';
+    showBlockedNotice(url, method, () => runApproved(url, () => {
+      if (event.formData && form instanceof HTMLFormElement) {
+        originalSubmit.call(form);
+      } else {
+        window.navigation.navigate(url, { history });
+      }
+    }));
+  }
+
+  if (window.navigation && typeof window.navigation.addEventListener === 'function') {
+    window.navigation.addEventListener('navigate', handleNavigate);
+    log('Navigation API protection installed');
+  } else {
+    log('Navigation API unavailable; location.href assignments are not guarded');
+  }
+
+})();
@@ -0,0 +1,69 @@
+/**
+ * Redirect Blocker - Page Unlock Module
+ *
+ * Keeps sites from cancelling the DevTools keyboard shortcuts and from
+ * blocking the native context menu, while the page's own shortcuts, editor
+ * hotkeys and custom right-click menus keep working.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    log, reportBlocked, guardDefaultAction, isPageWide, describeTarget
+  } = window.__redirectBlocker__;
+
+  // ============================================
+  // DevTools Shortcuts
+  // ============================================
+
+  // F12, Ctrl+Shift+I/J/C and Ctrl+U, or Cmd+Option+I/J/C/U and
+  // Cmd+Shift+C on macOS.
+  // Letters come from event.code, since Option changes event.key on macOS.
+  function getDevToolsShortcut(event) {
+    if (event.key === 'F12' || event.code === 'F12') return 'F12';
+    const match = /^Key([A-Z])$/.exec(event.code || '');
+    if (!match) return null;
+    const letter = match[1];
+
+    if ('IJC'.includes(letter) && event.ctrlKey && event.shiftKey) return `Ctrl+Shift+${letter}`;
+    if ('IJCU'.includes(letter) && event.metaKey && event.altKey) return `Cmd+Option+${letter}`;
+    if (letter === 'C' && event.metaKey && event.shiftKey) return 'Cmd+Shift+C';
+    if (letter === 'U' && event.ctrlKey && !event.shiftKey && !event.altKey) return 'Ctrl+U';
+    return null;
+  }
+
+  // The page still receives these keys (editors bind some of them), it just
+  // can no longer cancel them, so the browser opens DevTools or the source
+  // view regardless.
+  guardDefaultAction('keydown', (event) => getDevToolsShortcut(event) !== null, (event) => {
+    const shortcut = getDevToolsShortcut(event);
+    log(`Ignored ${shortcut} block on ${describeTarget(event.currentTarget)}`);
+    reportBlocked('keydown', shortcut, 'neutralized');
+  });
+
+  // ============================================
+  // Context Menu
+  // ============================================
+
+  // Cancelling from a page-level listener blocks the menu everywhere, which
+  // is what right-click blockers do; elements with a custom menu of their
+  // own still cancel theirs. Shift+right-click always opens the native menu.
+  window.addEventListener('contextmenu', (event) => {
+    if (!event.shiftKey) return;
+    event.stopImmediatePropagation();
+    log('Shift+right-click: native context menu forced');
+  }, true);
+
+  guardDefaultAction('contextmenu', (event) => isPageWide(event.currentTarget), (event) => {
+    const target = describeTarget(event.currentTarget);
+    log(`Ignored context menu block on ${target}`);
+    reportBlocked('contextmenu', target, 'neutralized');
+  });
+
+  log('Page unlock installed');
+
+})();
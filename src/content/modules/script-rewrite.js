@@ -0,0 +1,482 @@
+/**
+ * Redirect Blocker - Script Rewrite Module
+ *
+ * Strips debugger statements from scripts loaded via XHR/fetch, from inline
+ * <script> elements and from external <script src> elements before they
+ * execute.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const { log, sanitizeCode, patch, addStealthCheck } = window.__redirectBlocker__;
+
+  // ============================================
+  // AGGRESSIVE: Script Interception & Debugger Removal
+  // ============================================
+
+  // Track processed scripts to avoid double-processing
+  const processedScripts = new WeakSet();
+
+  // Strip debugger from scripts loaded with XMLHttpRequest
+  const nativeOpen = XMLHttpRequest.prototype.open;
+  const responseTextDescriptor = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'responseText');
+  const responseDescriptor = Object.getOwnPropertyDescriptor(XMLHttpRequest.prototype, 'response');
+
+  // Request opened for a .js URL -> { url, source, sanitized } (the last
+  // text sanitized, so a response read in progress isn't cached)
+  const xhrScripts = new WeakMap();
+
+  function isScriptUrl(url) {
+    return url.endsWith('.js') || url.includes('.js?');
+  }
+
+  patch(XMLHttpRequest.prototype, 'open', {
+    value: function (method, url) {
+      const href = String(url);
+      if (isScriptUrl(href)) {
+        xhrScripts.set(this, { url: href, source: null, sanitized: null });
+      } else {
+        xhrScripts.delete(this);
+      }
+      return nativeOpen.apply(this, arguments);
+    }
+  });
+
+  function getSanitizedResponse(xhr) {
+    const text = responseTextDescriptor.get.call(xhr);
+    const script = xhrScripts.get(xhr);
+    if (!script || !text) return text;
+    if (script.source !== text) {
+      script.source = text;
+      script.sanitized = sanitizeCode(text, `XHR: ${script.url}`);
+    }
+    return script.sanitized;
+  }
+
+  patch(XMLHttpRequest.prototype, 'responseText', {
+    get: function () {
+      return getSanitizedResponse(this);
+    }
+  });
+
+  // Intercept response property (used when responseType is '' or 'text')
+  patch(XMLHttpRequest.prototype, 'response', {
+    get: function () {
+      const responseType = this.responseType;
+      if (xhrScripts.has(this) && (responseType === '' || responseType === 'text')) {
+        return getSanitizedResponse(this);
+      }
+      // For other response types (arraybuffer, blob, etc.), return original
+      return responseDescriptor.get.call(this);
+    }
+  });
+
+  // Sanitized Response -> the response it was built from, which keeps
+  // answering for the properties a constructed Response can't carry
+  const sanitizedResponses = new WeakMap();
+
+  for (const property of ['url', 'redirected', 'type']) {
+    const descriptor = Object.getOwnPropertyDescriptor(Response.prototype, property);
+    patch(Response.prototype, property, {
+      get: function () {
+        return descriptor.get.call(sanitizedResponses.get(this) || this);
+      }
+    });
+  }
+
+  // Override fetch to strip debugger from responses
+  const originalFetch = window.fetch;
+  patch(window, 'fetch', {
+    value: async function (input, init) {
+      const response = await originalFetch.call(this, input, init);
+      const url = typeof input === 'string' ? input : input.url;
+
+      // Check if it's a JavaScript file
+      const contentType = response.headers.get('content-type') || '';
+      const isJavaScript = url && (isScriptUrl(url) || contentType.includes('javascript'));
+
+      if (isJavaScript) {
+        // Clone the response to avoid body consumption issues
+        const clonedResponse = response.clone();
+
+        // Create a new Response with sanitized body
+        const sanitizedResponse = new Response(
+          new ReadableStream({
+            async start(controller) {
+              try {
+                const text = await clonedResponse.text();
+                const sanitized = sanitizeCode(text, `fetch: ${url}`);
+                controller.enqueue(new TextEncoder().encode(sanitized));
+                controller.close();
+              } catch (e) {
+                controller.error(e);
+              }
+            }
+          }),
+          {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+          }
+        );
+        sanitizedResponses.set(sanitizedResponse, response);
+        return sanitizedResponse;
+      }
+
+      return response;
+    }
+  });
+
+  // ============================================
+  // Dynamic Script Tracking
+  // ============================================
+
+  // Scripts inserted by page code (appendChild, document.write, ...) have
+  // already started by the time the observer below sees them, so swapping in
+  // a sanitized copy would run them twice. They are marked here and skipped.
+  const dynamicScripts = new WeakSet();
+
+  function markScripts(nodes) {
+    for (const node of nodes) {
+      if (!node || (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE)) continue;
+      if (node.nodeName === 'SCRIPT') {
+        dynamicScripts.add(node);
+      } else {
+        node.querySelectorAll('script').forEach(script => dynamicScripts.add(script));
+      }
+    }
+  }
+
+  const INSERTION_METHODS = [
+    [Node.prototype, ['appendChild', 'insertBefore', 'replaceChild']],
+    [Element.prototype, ['append', 'prepend', 'before', 'after', 'replaceWith', 'insertAdjacentElement']]
+  ];
+
+  for (const [proto, methods] of INSERTION_METHODS) {
+    for (const method of methods) {
+      const original = proto[method];
+      patch(proto, method, {
+        value: function (...args) {
+          markScripts(args);
+          return original.apply(this, args);
+        }
+      });
+    }
+  }
+
+  // Scripts written by document.write run before the observer sees them
+  for (const method of ['write', 'writeln']) {
+    const original = Document.prototype[method];
+    patch(Document.prototype, method, {
+      value: function (...args) {
+        const result = original.apply(this, args);
+        for (const script of document.scripts) {
+          if (!processedScripts.has(script)) dynamicScripts.add(script);
+        }
+        return result;
+      }
+    });
+  }
+
+  // ============================================
+  // External Script Sanitization
+  // ============================================
+
+  // A <script src> never goes through window.fetch/XHR, so parser-inserted
+  // external scripts are read here with a synchronous XHR, which holds the
+  // parser until we know whether sanitizing changes them (async scripts and
+  // modules too: deciding later would mean holding back every one of them).
+  // Only changed scripts are swapped for an inline copy of the sanitized
+  // code; the others are left alone and load normally. Scripts the page
+  // can't read (other origins without CORS) and scripts with `integrity`,
+  // which only the browser's own fetch checks, are never read.
+  //
+  // Defer scripts and modules without `async` run in document order once the
+  // document is parsed. From the first changed one on, all of them are run
+  // by us, in that order, once the browser's own ones before them are done
+  // (still before DOMContentLoaded); modules run as a classic script copy
+  // for that, unless they use import/export statements.
+  //
+  // `nomodule` scripts never run in Chrome and are skipped. Where the page's
+  // CSP refuses inline copies, scripts are left alone.
+
+  const JS_MIME_TYPE = /^(?:text|application)\/(?:x-)?(?:java|ecma)script$/;
+  // Code resolving imports against its own URL can't run from an inline copy
+  const URL_DEPENDENT_CODE = /\bimport\.meta\b|(?:\bfrom|\bimport)\s*\(?\s*['"`][./]/;
+  // Statements only a module can hold
+  const MODULE_STATEMENTS = /^\s*(?:import\s*[\w*{'"]|export\b)/m;
+
+  // Inline copy -> the page's <script src> it stands in for (null for a
+  // module, which has no currentScript)
+  const replacements = new WeakMap();
+  // Defer scripts and modules we run ourselves, in document order
+  const deferredScripts = [];
+  // Last defer script or module left to the browser before the first one above
+  let lastNativeDeferScript = null;
+
+  function runDeferredScripts() {
+    deferredScripts.splice(0).forEach(run => run());
+  }
+
+  // The browser runs its defer scripts after this readystatechange, so ours
+  // wait for the last one that comes before them in the document
+  if (document.readyState === 'loading') {
+    document.addEventListener('readystatechange', () => {
+      if (document.readyState !== 'interactive') return;
+      if (!lastNativeDeferScript || deferredScripts.length === 0) {
+        runDeferredScripts();
+        return;
+      }
+      const waitFor = lastNativeDeferScript;
+      const onDone = (event) => {
+        if (event.target !== waitFor) return;
+        document.removeEventListener('load', onDone, true);
+        document.removeEventListener('error', onDone, true);
+        runDeferredScripts();
+      };
+      document.addEventListener('load', onDone, true);
+      document.addEventListener('error', onDone, true);
+    });
+  }
+
+  // Code run from a copy still sees its own element as document.currentScript
+  // (bundles derive their public path from currentScript.src)
+  const currentScriptDescriptor = Object.getOwnPropertyDescriptor(Document.prototype, 'currentScript');
+  if (currentScriptDescriptor && currentScriptDescriptor.get) {
+    patch(Document.prototype, 'currentScript', {
+      get: function () {
+        const script = currentScriptDescriptor.get.call(this);
+        return script && replacements.has(script) ? replacements.get(script) : script;
+      }
+    });
+  }
+
+  function getScriptKind(scriptEl, originalType = scriptEl.getAttribute('type')) {
+    const type = (originalType || '').trim().toLowerCase();
+    if (type === 'module') return 'module';
+    if (scriptEl.noModule) return null;
+    return type === '' || JS_MIME_TYPE.test(type) ? 'classic' : null;
+  }
+
+  // Event handler attributes stay on the original, which gets the load/error
+  // events re-dispatched, so they don't fire twice. The browser hides the
+  // nonce attribute once the element is parsed, so the property is copied.
+  function copyScriptAttributes(from, to, originalType, withSource) {
+    for (const attr of from.attributes) {
+      if (attr.name.startsWith('on') || attr.name === 'type') continue;
+      if (!withSource && (attr.name === 'src' || attr.name === 'integrity')) continue;
+      to.setAttribute(attr.name, attr.value);
+    }
+    if (originalType !== null) to.setAttribute('type', originalType);
+    if (from.nonce) to.nonce = from.nonce;
+  }
+
+  // Nonce -> whether the page's CSP lets an inline copy carrying it run
+  // (hash-only and strict-dynamic policies refuse it)
+  const inlineScriptsAllowed = new Map();
+
+  // Finds out once per nonce with a probe that calls a one-off global
+  function canRunInline(nonce) {
+    if (!inlineScriptsAllowed.has(nonce)) {
+      const key = `rb${Math.random().toString(36).slice(2)}`;
+      let ran = false;
+      Object.defineProperty(window, key, { configurable: true, value: () => { ran = true; } });
+      try {
+        const probe = document.createElement('script');
+        probe.nonce = nonce;
+        probe.textContent = `window.${key}()`;
+        processedScripts.add(probe);
+        (document.head || document.documentElement).appendChild(probe);
+        probe.remove();
+      } catch (e) {
+        // Trusted Types refuse the text
+      }
+      delete window[key];
+      inlineScriptsAllowed.set(nonce, ran);
+      if (!ran) log('Page CSP refuses inline scripts, leaving its scripts unmodified');
+    }
+    return inlineScriptsAllowed.get(nonce);
+  }
+
+  function insertCopy(scriptEl, copy) {
+    processedScripts.add(copy);
+    if (scriptEl.parentNode) {
+      scriptEl.parentNode.insertBefore(copy, scriptEl);
+    } else {
+      (document.head || document.documentElement).appendChild(copy);
+    }
+  }
+
+  // `copyType` differs from the original's type for a module run as a classic script
+  function runSanitized(scriptEl, code, originalType, copyType = originalType) {
+    const copy = document.createElement('script');
+    copyScriptAttributes(scriptEl, copy, copyType, false);
+    copy.textContent = code;
+    replacements.set(copy, getScriptKind(scriptEl, originalType) === 'module' ? null : scriptEl);
+    insertCopy(scriptEl, copy);
+    scriptEl.dispatchEvent(new Event('load'));
+  }
+
+  function runOriginal(scriptEl, originalType) {
+    const copy = document.createElement('script');
+    copyScriptAttributes(scriptEl, copy, originalType, true);
+    copy.async = scriptEl.hasAttribute('async');
+    copy.addEventListener('load', () => scriptEl.dispatchEvent(new Event('load')));
+    copy.addEventListener('error', () => scriptEl.dispatchEvent(new Event('error')));
+    insertCopy(scriptEl, copy);
+  }
+
+  // Sanitized source, or null when the original should run as is
+  function getSanitizedSource(code, src) {
+    if (code === null) return null;
+    if (URL_DEPENDENT_CODE.test(code)) {
+      log('Script resolves imports against its own URL, loading it unmodified:', src);
+      return null;
+    }
+    const clean = sanitizeCode(code, `script: ${src}`);
+    return clean === code ? null : clean;
+  }
+
+  // Same-origin scripts, and scripts the browser fetches with CORS, can be
+  // read by the page; reading others would fail anyway
+  function isReadable(scriptEl) {
+    try {
+      return new URL(scriptEl.src).origin === window.location.origin || scriptEl.hasAttribute('crossorigin');
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Synchronous, so the parser waits for the decision; null on failure
+  function loadScriptSync(scriptEl) {
+    try {
+      const xhr = new XMLHttpRequest();
+      nativeOpen.call(xhr, 'GET', scriptEl.src, false);
+      xhr.withCredentials = scriptEl.crossOrigin === 'use-credentials';
+      xhr.send();
+      return xhr.status >= 200 && xhr.status < 300 ? responseTextDescriptor.get.call(xhr) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // A module's code as a classic script with the same scoping (strict, own
+  // top-level scope, `this` undefined), so it can run in document order
+  // instead of whenever the browser gets to a module copy; null if it can't be one
+  function toClassicScript(code) {
+    if (MODULE_STATEMENTS.test(code)) return null;
+    const prefix = /\bawait\b/.test(code) ? 'async ' : '';
+    return `(${prefix}function () {'use strict';\n${code}\n}).call(undefined);`;
+  }
+
+  function interceptExternalScript(scriptEl) {
+    const kind = getScriptKind(scriptEl);
+    if (!kind || !scriptEl.src) return;
+    const originalType = scriptEl.getAttribute('type');
+    // Modules without `async` are deferred like defer scripts, in the same order
+    const deferred = !scriptEl.async && (kind === 'module' || scriptEl.defer);
+
+    const code = scriptEl.integrity || !isReadable(scriptEl) ? null : loadScriptSync(scriptEl);
+    const clean = getSanitizedSource(code, scriptEl.src);
+
+    if (!deferred) {
+      if (clean === null || !canRunInline(scriptEl.nonce)) return;
+      scriptEl.type = 'javascript/blocked';
+      runSanitized(scriptEl, clean, originalType);
+      return;
+    }
+
+    if ((clean === null || !canRunInline(scriptEl.nonce)) && deferredScripts.length === 0) {
+      lastNativeDeferScript = scriptEl;
+      return;
+    }
+
+    // From the first changed one on, every defer script and module runs from our queue
+    scriptEl.type = 'javascript/blocked';
+    const runnable = clean !== null ? clean
+      : code !== null && !URL_DEPENDENT_CODE.test(code) ? code : null;
+    deferredScripts.push(() => {
+      if (runnable === null || !canRunInline(scriptEl.nonce)) {
+        runOriginal(scriptEl, originalType);
+        return;
+      }
+      if (kind !== 'module') {
+        runSanitized(scriptEl, runnable, originalType);
+        return;
+      }
+      const classic = toClassicScript(runnable);
+      if (classic === null) log('Module uses import/export, it may run out of order:', scriptEl.src);
+      runSanitized(scriptEl, classic ?? runnable, originalType, classic === null ? originalType : null);
+    });
+  }
+
+  // ============================================
+  // Script Element Interception
+  // ============================================
+
+  // MutationObserver to intercept script elements before they execute
+  const scriptObserver = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.tagName === 'SCRIPT') {
+          interceptScript(node);
+        }
+      }
+    }
+  });
+
+  function interceptScript(scriptEl) {
+    // Skip if already processed
+    if (processedScripts.has(scriptEl) || dynamicScripts.has(scriptEl)) {
+      return;
+    }
+    processedScripts.add(scriptEl);
+
+    if (scriptEl.hasAttribute('src')) {
+      interceptExternalScript(scriptEl);
+      return;
+    }
+
+    // Handle inline scripts
+    if (scriptEl.textContent) {
+      const originalContent = scriptEl.textContent;
+      const cleanContent = sanitizeCode(originalContent, 'inline script');
+
+      if (cleanContent !== originalContent && canRunInline(scriptEl.nonce)) {
+        // Create a new clean script
+        const newScript = document.createElement('script');
+        newScript.textContent = cleanContent;
+        processedScripts.add(newScript);
+
+        // Copy attributes
+        for (const attr of scriptEl.attributes) {
+          newScript.setAttribute(attr.name, attr.value);
+        }
+        if (scriptEl.nonce) newScript.nonce = scriptEl.nonce;
+
+        // Block original and insert clean version
+        scriptEl.type = 'javascript/blocked';
+        scriptEl.parentNode?.insertBefore(newScript, scriptEl);
+      }
+    }
+  }
+
+  // Start observing immediately
+  scriptObserver.observe(document.documentElement || document, {
+    childList: true,
+    subtree: true
+  });
+
+  // Neutralized originals stay in the DOM next to their copies
+  addStealthCheck(() => {
+    const blocked = document.querySelectorAll('script[type="javascript/blocked"]').length;
+    return blocked ? [`${blocked} neutralized <script> element(s) with type="javascript/blocked"`] : [];
+  });
+
+  log('🔧 Script debugger interceptor installed');
+
+})();
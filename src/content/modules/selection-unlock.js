@@ -0,0 +1,60 @@
+/**
+ * Redirect Blocker - Selection Unlock Module
+ *
+ * Restores text selection, copy and paste on sites that disable them:
+ * `user-select: none` is overridden, and the page can no longer cancel
+ * `selectstart`, `copy` and `cut`. Paste and the Ctrl/Cmd+A/C/V/X shortcuts
+ * are only restored against page-level blocks, since editors handle those
+ * themselves.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    log, reportBlocked, guardDefaultAction, isPageWide, describeTarget, addStealthCheck
+  } = window.__redirectBlocker__;
+
+  function reportIgnored(event) {
+    const target = describeTarget(event.currentTarget);
+    log(`Ignored ${event.type} block on ${target}`);
+    reportBlocked(event.type, target, 'neutralized');
+  }
+
+  // ============================================
+  // Selection Style
+  // ============================================
+
+  // A constructed sheet instead of a <style> element, so nothing is added to
+  // the DOM; it only shows up in document.adoptedStyleSheets
+  const unlockSheet = new CSSStyleSheet();
+  unlockSheet.replaceSync('* { -webkit-user-select: text !important; user-select: text !important; }');
+  document.adoptedStyleSheets = [...document.adoptedStyleSheets, unlockSheet];
+
+  addStealthCheck(() => (document.adoptedStyleSheets.includes(unlockSheet)
+    ? ['document.adoptedStyleSheets: selection unlock style sheet']
+    : []));
+
+  // ============================================
+  // Selection & Clipboard Events
+  // ============================================
+
+  for (const type of ['selectstart', 'copy', 'cut']) {
+    guardDefaultAction(type, () => true, reportIgnored);
+  }
+
+  guardDefaultAction('paste', (event) => isPageWide(event.currentTarget), reportIgnored);
+
+  // Ctrl/Cmd+A, C, V and X
+  guardDefaultAction('keydown', (event) => (
+    isPageWide(event.currentTarget) &&
+    (event.ctrlKey || event.metaKey) && !event.altKey && !event.shiftKey &&
+    ['KeyA', 'KeyC', 'KeyV', 'KeyX'].includes(event.code)
+  ), reportIgnored);
+
+  log('Selection & clipboard unlock installed');
+
+})();
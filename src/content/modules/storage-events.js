@@ -0,0 +1,36 @@
+/**
+ * Redirect Blocker - Storage Events Module
+ *
+ * Blocks `storage` event listeners used to hear other tabs write to localStorage.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const { log, reportBlocked, patch } = window.__redirectBlocker__;
+
+  // ============================================
+  // localStorage Storage Event Blocking
+  // ============================================
+
+  // window.addEventListener is inherited from EventTarget.prototype
+  const originalAddEventListener = EventTarget.prototype.addEventListener;
+
+  patch(EventTarget.prototype, 'addEventListener', {
+    value: function (type, listener, options) {
+      if (this === window && type === 'storage') {
+        log('Blocked storage event listener registration');
+        reportBlocked('storage event listener', 'storage');
+        // Don't register the listener
+        return;
+      }
+      return originalAddEventListener.apply(this, arguments);
+    }
+  });
+
+  log('Storage event listener blocking installed');
+
+})();
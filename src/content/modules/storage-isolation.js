@@ -0,0 +1,313 @@
+/**
+ * Redirect Blocker - Storage Isolation Module
+ *
+ * Alternative to the localStorage key filter: instead of guessing which keys
+ * are used for tab detection, every tab gets its own overlay on top of
+ * localStorage. Writes and removals only land in the overlay, so tabs never
+ * see each other's coordination state, whatever the keys are called. Data
+ * that existed before the tab opened stays readable.
+ *
+ * The overlay is kept in sessionStorage (which survives reloads), one hidden
+ * item per key, named after the tab token, so the same-origin frames of a
+ * tab share it. sessionStorage alone is not enough: it is copied into
+ * duplicated tabs and windows the page opens, which get a token of their own.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    log, reportBlocked, patch, storageKeyRules, matchesKeyRules, whenTabKnown
+  } = window.__redirectBlocker__;
+
+  // ============================================
+  // Per-Tab localStorage Overlay
+  // ============================================
+
+  // sessionStorage items starting with this are hidden from the page. An
+  // overlay entry is `<prefix><tab token>:+<key>` holding the value, or
+  // `<prefix><tab token>:-<key>` hiding a key of the real storage.
+  const OVERLAY_PREFIX = '__redirectBlocker.overlay:';
+
+  let realLocal;
+  let realSession;
+  try {
+    realLocal = window.localStorage;
+    realSession = window.sessionStorage;
+  } catch (e) {
+    // Storage is unavailable (e.g. sandboxed frame); nothing to isolate
+    log('Storage isolation skipped:', e.message);
+    return;
+  }
+
+  const StorageProto = Storage.prototype;
+  const native = {
+    getItem: StorageProto.getItem,
+    setItem: StorageProto.setItem,
+    removeItem: StorageProto.removeItem,
+    clear: StorageProto.clear,
+    key: StorageProto.key,
+    length: Object.getOwnPropertyDescriptor(StorageProto, 'length').get
+  };
+
+  function realKeys(storage) {
+    const keys = [];
+    const count = native.length.call(storage);
+    for (let i = 0; i < count; i++) {
+      keys.push(native.key.call(storage, i));
+    }
+    return keys;
+  }
+
+  // This tab's entries, or null until the tab token is known. Until then,
+  // the frame's writes are kept in `pending` and read from there.
+  let tabPrefix = null;
+  const pending = { values: new Map(), removed: new Set() };
+  const reportedKeys = new Set();
+
+  /**
+   * The overlay's entry for `key`: its value, null if the key is removed,
+   * undefined if the overlay leaves it to the real storage
+   */
+  function getEntry(key) {
+    if (tabPrefix === null) {
+      if (pending.values.has(key)) return pending.values.get(key);
+      return pending.removed.has(key) ? null : undefined;
+    }
+    const value = native.getItem.call(realSession, `${tabPrefix}+${key}`);
+    if (value !== null) return value;
+    return native.getItem.call(realSession, `${tabPrefix}-${key}`) !== null ? null : undefined;
+  }
+
+  // Only the key's own items are written, so a write costs the same however
+  // large the overlay is. A full sessionStorage throws the quota error, as
+  // a full localStorage would.
+  function setEntry(key, entry) {
+    if (tabPrefix === null) {
+      pending.values.delete(key);
+      pending.removed.delete(key);
+      if (typeof entry === 'string') pending.values.set(key, entry);
+      if (entry === null) pending.removed.add(key);
+      return;
+    }
+    if (typeof entry === 'string') {
+      native.setItem.call(realSession, `${tabPrefix}+${key}`, entry);
+    } else {
+      native.removeItem.call(realSession, `${tabPrefix}+${key}`);
+    }
+    if (entry === null) {
+      native.setItem.call(realSession, `${tabPrefix}-${key}`, '');
+    } else {
+      native.removeItem.call(realSession, `${tabPrefix}-${key}`);
+    }
+  }
+
+  // Every entry of the overlay: { values: Map, removed: Set }
+  function getEntries() {
+    if (tabPrefix === null) return pending;
+    const values = new Map();
+    const removed = new Set();
+    for (const name of realKeys(realSession)) {
+      if (!name.startsWith(tabPrefix)) continue;
+      const key = name.slice(tabPrefix.length + 1);
+      if (name[tabPrefix.length] === '+') {
+        values.set(key, native.getItem.call(realSession, name));
+      } else {
+        removed.add(key);
+      }
+    }
+    return { values, removed };
+  }
+
+  whenTabKnown().then((token) => {
+    const prefix = `${OVERLAY_PREFIX}${token}:`;
+
+    // Overlays copied along with sessionStorage from the tab that opened
+    // this one. A frame that never got the token (see whenTabKnown in
+    // blocker.js) leaves them alone: one of them is its tab's.
+    if (!token.startsWith('frame-')) {
+      realKeys(realSession)
+        .filter(name => name.startsWith(OVERLAY_PREFIX) && !name.startsWith(prefix))
+        .forEach(name => native.removeItem.call(realSession, name));
+    }
+
+    // This frame's writes so far go on top of the tab's overlay
+    tabPrefix = prefix;
+    try {
+      pending.values.forEach((value, key) => setEntry(key, value));
+      pending.removed.forEach(key => setEntry(key, null));
+    } catch (e) {
+      log('Could not move storage overlay to the tab:', e.message);
+    }
+    pending.values.clear();
+    pending.removed.clear();
+  });
+
+  // Every write is isolated, but only the keys the storage key filter would
+  // have blocked count as blocked
+  function reportWrite(key) {
+    if (reportedKeys.has(key)) return;
+    if (!matchesKeyRules(key, storageKeyRules) && !storageKeyRules.learnedKeys.includes(key)) return;
+    reportedKeys.add(key);
+    log(`Isolated localStorage write: "${key}"`);
+    reportBlocked('Storage.setItem', key, 'isolated');
+  }
+
+  // Virtual view of localStorage: overlay first, then the real storage
+  const localView = {
+    getItem(key) {
+      const entry = getEntry(key);
+      return entry === undefined ? native.getItem.call(realLocal, key) : entry;
+    },
+    setItem(key, value) {
+      setEntry(key, value);
+      reportWrite(key);
+    },
+    removeItem(key) {
+      setEntry(key, native.getItem.call(realLocal, key) !== null ? null : undefined);
+    },
+    clear() {
+      getEntries().values.forEach((value, key) => setEntry(key, undefined));
+      realKeys(realLocal).forEach(key => setEntry(key, null));
+    },
+    keys() {
+      const { values, removed } = getEntries();
+      const keys = realKeys(realLocal).filter(key => !removed.has(key) && !values.has(key));
+      return keys.concat([...values.keys()]);
+    }
+  };
+
+  // sessionStorage as the page sees it: everything except the overlays
+  const isHidden = (key) => key.startsWith(OVERLAY_PREFIX);
+  const sessionView = {
+    getItem(key) {
+      return isHidden(key) ? null : native.getItem.call(realSession, key);
+    },
+    setItem(key, value) {
+      if (!isHidden(key)) native.setItem.call(realSession, key, value);
+    },
+    removeItem(key) {
+      if (!isHidden(key)) native.removeItem.call(realSession, key);
+    },
+    clear() {
+      this.keys().forEach(key => native.removeItem.call(realSession, key));
+    },
+    keys() {
+      return realKeys(realSession).filter(key => !isHidden(key));
+    }
+  };
+
+  // Overlay writes fire storage events in the tab's other frames
+  window.addEventListener('storage', (event) => {
+    if (event.key !== null && isHidden(event.key)) event.stopImmediatePropagation();
+  }, true);
+
+  /**
+   * Proxy standing in for a Storage object, so named property access
+   * (localStorage.foo, localStorage.foo = 1, delete, Object.keys) is
+   * virtualized too. Method calls go through the patched prototype below.
+   */
+  function createStorageProxy(storage, view) {
+    return new Proxy(storage, {
+      get(target, prop, receiver) {
+        if (typeof prop === 'symbol' || prop in StorageProto) {
+          return Reflect.get(target, prop, receiver);
+        }
+        const value = view.getItem(prop);
+        return value === null ? undefined : value;
+      },
+      set(target, prop, value) {
+        if (typeof prop === 'symbol' || prop in StorageProto) {
+          return Reflect.set(target, prop, value);
+        }
+        view.setItem(prop, String(value));
+        return true;
+      },
+      deleteProperty(target, prop) {
+        if (typeof prop !== 'symbol') view.removeItem(prop);
+        return true;
+      },
+      has(target, prop) {
+        if (typeof prop === 'symbol' || prop in StorageProto) return prop in target;
+        return view.getItem(prop) !== null;
+      },
+      ownKeys() {
+        return view.keys();
+      },
+      getOwnPropertyDescriptor(target, prop) {
+        const value = typeof prop === 'symbol' ? null : view.getItem(prop);
+        if (value === null) return undefined;
+        return { value, writable: true, enumerable: true, configurable: true };
+      }
+    });
+  }
+
+  const localProxy = createStorageProxy(realLocal, localView);
+  const sessionProxy = createStorageProxy(realSession, sessionView);
+
+  function getView(storage) {
+    if (storage === localProxy || storage === realLocal) return localView;
+    if (storage === sessionProxy || storage === realSession) return sessionView;
+    return null;
+  }
+
+  // Route Storage methods to the virtual views; other storages stay native
+  patch(StorageProto, 'getItem', {
+    value: function (key) {
+      const view = getView(this);
+      return view ? view.getItem(String(key)) : native.getItem.apply(this, arguments);
+    }
+  });
+
+  patch(StorageProto, 'setItem', {
+    value: function (key, value) {
+      const view = getView(this);
+      return view ? view.setItem(String(key), String(value)) : native.setItem.apply(this, arguments);
+    }
+  });
+
+  patch(StorageProto, 'removeItem', {
+    value: function (key) {
+      const view = getView(this);
+      return view ? view.removeItem(String(key)) : native.removeItem.apply(this, arguments);
+    }
+  });
+
+  patch(StorageProto, 'clear', {
+    value: function () {
+      const view = getView(this);
+      return view ? view.clear() : native.clear.call(this);
+    }
+  });
+
+  patch(StorageProto, 'key', {
+    value: function (index) {
+      const view = getView(this);
+      return view ? (view.keys()[index] ?? null) : native.key.apply(this, arguments);
+    }
+  });
+
+  patch(StorageProto, 'length', {
+    get: function () {
+      const view = getView(this);
+      return view ? view.keys().length : native.length.call(this);
+    }
+  });
+
+  try {
+    patch(window, 'localStorage', {
+      get: function () { return localProxy; }
+    });
+    patch(window, 'sessionStorage', {
+      get: function () { return sessionProxy; }
+    });
+  } catch (e) {
+    log('Could not replace storage objects, only method calls are isolated:', e);
+  }
+
+  log('localStorage isolation installed');
+
+})();
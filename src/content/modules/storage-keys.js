@@ -0,0 +1,346 @@
+/**
+ * Redirect Blocker - Storage Keys Module
+ *
+ * Drops localStorage, cookie and IndexedDB writes to keys commonly used for
+ * tab detection, either by name or because they behave like a tab heartbeat.
+ * Keys learned from their behavior are reported to the service worker and
+ * blocked from the start on later visits.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    log, reportBlocked, sendToBackground, addWorkerPrelude, patch, storageKeyRules, matchesKeyRules
+  } = window.__redirectBlocker__;
+
+  // ============================================
+  // Known Key Names
+  // ============================================
+
+  // The site's suspicious key list (see storageKeyRules in blocker.js)
+  function isSuspiciousKey(key) {
+    return matchesKeyRules(key, keyRules);
+  }
+
+  // ============================================
+  // Heartbeat Detection
+  // ============================================
+
+  // A key rewritten this many times in a row with a timestamp-like value,
+  // at a steady interval, is treated as a tab heartbeat
+  const HEARTBEAT_MIN_WRITES = 4;
+  const HEARTBEAT_MIN_INTERVAL = 100;
+  const HEARTBEAT_MAX_INTERVAL = 60000;
+  const HEARTBEAT_JITTER = 0.25; // allowed deviation from the mean interval
+  const TIMESTAMP_WINDOW = 24 * 60 * 60 * 1000;
+  const MAX_TRACKED_KEYS = 200;
+
+  // key -> { times: [write times], grew, shrank, refreshed }
+  const keyHistory = new Map();
+  // Keys learned on this page, on top of the ones learned on earlier visits
+  const learnedKeys = new Set();
+
+  // Everything the IndexedDB filter needs, also handed to worker scopes as
+  // JSON (which takes a snapshot of learnedKeys)
+  const keyRules = {
+    get suspiciousKeys() {
+      return storageKeyRules.suspiciousKeys;
+    },
+    get learnedKeys() {
+      return [...learnedKeys, ...storageKeyRules.learnedKeys];
+    }
+  };
+
+  function isTimestamp(number) {
+    const ms = number < 1e12 ? number * 1000 : number;
+    return Math.abs(Date.now() - ms) < TIMESTAMP_WINDOW;
+  }
+
+  function isTimestampLike(value) {
+    const numbers = value.match(/\d{10,13}/g) || [];
+    if (numbers.some(number => isTimestamp(Number(number)))) return true;
+    return /^\d{4}-\d{2}-\d{2}T/.test(value) && isTimestamp(Date.parse(value));
+  }
+
+  function isSteadyInterval(times) {
+    if (times.length < HEARTBEAT_MIN_WRITES) return false;
+    const intervals = times.slice(1).map((time, i) => time - times[i]);
+    const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+    if (mean < HEARTBEAT_MIN_INTERVAL || mean > HEARTBEAT_MAX_INTERVAL) return false;
+    return intervals.every(interval => Math.abs(interval - mean) <= mean * HEARTBEAT_JITTER);
+  }
+
+  // A timestamp (in ms) in a number, a numeric or ISO date string, or one
+  // level down in an object ({ lastSeen: ... }); null if there is none
+  function getTimestamp(value, nested = false) {
+    if (typeof value === 'number') {
+      return isTimestamp(value) ? (value < 1e12 ? value * 1000 : value) : null;
+    }
+    if (typeof value === 'string') {
+      if (/^\d{10,13}$/.test(value)) return getTimestamp(Number(value));
+      return /^\d{4}-\d{2}-\d{2}T/.test(value) && isTimestamp(Date.parse(value)) ? Date.parse(value) : null;
+    }
+    if (!nested && value && typeof value === 'object' && !Array.isArray(value)) {
+      const times = Object.values(value).map(field => getTimestamp(field, true)).filter(time => time !== null);
+      return times.length > 0 ? Math.max(...times) : null;
+    }
+    return null;
+  }
+
+  /**
+   * A value shaped like a tab registry as id -> last heartbeat: an object
+   * keyed by id whose values are (or hold) timestamps, or an array of
+   * objects with an `id` or `tabId` and a timestamp. Plain id lists (carts,
+   * recently viewed items, drafts) are not registries. Returns null for
+   * anything else.
+   */
+  function parseTabRegistry(value) {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+    if (!parsed || typeof parsed !== 'object') return null;
+
+    const entries = Array.isArray(parsed)
+      ? parsed.map(entry => [entry && typeof entry === 'object' ? (entry.id ?? entry.tabId) : undefined, entry])
+      : Object.entries(parsed);
+    const registry = new Map();
+    for (const [id, entry] of entries) {
+      const time = getTimestamp(entry);
+      if ((typeof id !== 'string' && typeof id !== 'number') || time === null) return null;
+      registry.set(String(id), time);
+    }
+    return registry;
+  }
+
+  /**
+   * Record a write of `value` over `previousValue` (the value stored now,
+   * including other tabs' writes) and return why the key looks like a
+   * heartbeat, or null. `key` is namespaced per storage ('cookie:tabs').
+   */
+  function detectHeartbeat(key, value, previousValue) {
+    let history = keyHistory.get(key);
+    if (!history) {
+      if (keyHistory.size >= MAX_TRACKED_KEYS) return null;
+      history = { times: [], grew: false, shrank: false, refreshed: false };
+      keyHistory.set(key, history);
+    }
+
+    if (isTimestampLike(value)) {
+      history.times.push(Date.now());
+      if (history.times.length > HEARTBEAT_MIN_WRITES) history.times.shift();
+      if (isSteadyInterval(history.times)) return 'timestamp heartbeat';
+    } else {
+      history.times = [];
+    }
+
+    // Tabs join and leave a registry, and the ones still open keep
+    // refreshing their entry; a list that only grows and shrinks is not enough
+    const registry = parseTabRegistry(value);
+    const previous = parseTabRegistry(String(previousValue));
+    if (registry && previous) {
+      if (registry.size > previous.size) history.grew = true;
+      if (registry.size < previous.size) history.shrank = true;
+      for (const [id, time] of registry) {
+        if (previous.has(id) && time > previous.get(id)) history.refreshed = true;
+      }
+      if (history.grew && history.shrank && history.refreshed) return 'tab registry';
+    }
+
+    return null;
+  }
+
+  function isLearnedKey(key) {
+    return learnedKeys.has(key) || storageKeyRules.learnedKeys.includes(key);
+  }
+
+  function learnKey(key, reason, historyKey) {
+    learnedKeys.add(key);
+    keyHistory.delete(historyKey);
+    log(`Detected tab heartbeat key "${key}" (${reason})`);
+    sendToBackground({ type: 'LEARNED_STORAGE_KEY', url: window.location.href, key, reason });
+  }
+
+  // ============================================
+  // localStorage Write Interception
+  // ============================================
+
+  const originalSetItem = Storage.prototype.setItem;
+  const originalGetItem = Storage.prototype.getItem;
+
+  let nativeLocalStorage = null;
+  try {
+    nativeLocalStorage = window.localStorage;
+  } catch (e) {
+    // Storage is unavailable (e.g. sandboxed frame)
+  }
+
+  patch(Storage.prototype, 'setItem', {
+    value: function (key, value) {
+      if (isSuspiciousKey(key)) {
+        log(`Blocked suspicious localStorage write: "${key}" = "${value}"`);
+        reportBlocked('Storage.setItem', key);
+        return; // Don't actually write
+      }
+
+      if (this === nativeLocalStorage) {
+        const name = String(key);
+        if (isLearnedKey(name)) {
+          log(`Blocked heartbeat localStorage write: "${name}"`);
+          reportBlocked('Storage.setItem', name);
+          return;
+        }
+
+        const reason = detectHeartbeat(`localStorage:${name}`, String(value), originalGetItem.call(this, name));
+        if (reason) {
+          learnKey(name, reason, `localStorage:${name}`);
+          reportBlocked('Storage.setItem', name);
+          return;
+        }
+      }
+
+      return originalSetItem.apply(this, arguments);
+    }
+  });
+
+  log('localStorage write interception installed');
+
+  // ============================================
+  // Cookie Write Interception
+  // ============================================
+
+  const cookieDescriptor = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
+
+  function readCookie(name) {
+    const cookies = cookieDescriptor.get.call(document).split(';');
+    for (const cookie of cookies) {
+      const separator = cookie.indexOf('=');
+      if (separator !== -1 && cookie.slice(0, separator).trim() === name) {
+        return cookie.slice(separator + 1).trim();
+      }
+    }
+    return null;
+  }
+
+  // Deleting a heartbeat cookie is harmless, so expiring writes always pass
+  function isCookieDeletion(attributes) {
+    const maxAge = /(?:^|;)\s*max-age\s*=\s*(-?\d+)/i.exec(attributes);
+    if (maxAge) return Number(maxAge[1]) <= 0;
+    const expires = /(?:^|;)\s*expires\s*=\s*([^;]+)/i.exec(attributes);
+    return Boolean(expires) && Date.parse(expires[1]) < Date.now();
+  }
+
+  if (cookieDescriptor && cookieDescriptor.set) {
+    try {
+      patch(Document.prototype, 'cookie', {
+        set: function (cookieString) {
+          const text = String(cookieString);
+          const separator = text.indexOf(';');
+          const pair = separator === -1 ? text : text.slice(0, separator);
+          const attributes = separator === -1 ? '' : text.slice(separator);
+          const equals = pair.indexOf('=');
+          const name = equals === -1 ? '' : pair.slice(0, equals).trim();
+          const value = equals === -1 ? pair.trim() : pair.slice(equals + 1).trim();
+
+          if (this === document && name && !isCookieDeletion(attributes)) {
+            if (isSuspiciousKey(name) || isLearnedKey(name)) {
+              log(`Blocked suspicious cookie write: "${name}" = "${value}"`);
+              reportBlocked('document.cookie', name);
+              return;
+            }
+
+            const reason = detectHeartbeat(`cookie:${name}`, value, readCookie(name));
+            if (reason) {
+              learnKey(name, reason, `cookie:${name}`);
+              reportBlocked('document.cookie', name);
+              return;
+            }
+          }
+
+          return cookieDescriptor.set.call(this, cookieString);
+        }
+      });
+      log('Cookie write interception installed');
+    } catch (e) {
+      log('Cookie write interception failed:', e);
+    }
+  }
+
+  // ============================================
+  // IndexedDB Write Interception
+  // ============================================
+
+  // The record's key: the explicit key argument, or the value at an in-line keyPath
+  function getRecordKey(store, value, key) {
+    if (key !== undefined) return key;
+    const keyPath = store.keyPath;
+    if (typeof keyPath !== 'string' || !keyPath || !value || typeof value !== 'object') return undefined;
+    return keyPath.split('.').reduce((object, part) => (object == null ? undefined : object[part]), value);
+  }
+
+  // Self-contained (see addWorkerPrelude) so it also runs in worker scopes
+  function installIndexedDBFilter(scope, { log, reportBlocked, patch }, rules) {
+    if (!scope.IDBObjectStore) return;
+
+    // Requests standing in for dropped writes -> the key they report
+    const droppedWrites = new WeakMap();
+    const resultDescriptor = Object.getOwnPropertyDescriptor(scope.IDBRequest.prototype, 'result');
+
+    patch(scope.IDBRequest.prototype, 'result', {
+      get: function () {
+        return droppedWrites.has(this) ? droppedWrites.get(this) : resultDescriptor.get.call(this);
+      }
+    });
+
+    // The write's own errors (inactive or read-only transaction, deleted
+    // store, invalid key, uncloneable value) are still thrown: the native
+    // method runs its checks on a value whose cloning then stops it
+    function checkWrite(store, original, value, key, recordKey) {
+      const stop = {};
+      try {
+        original.call(store, { get stop() { throw stop; } }, ...(key === undefined ? [] : [key]));
+      } catch (e) {
+        if (e !== stop) throw e;
+      }
+      scope.structuredClone(value);
+      if (recordKey !== undefined) scope.indexedDB.cmp(recordKey, recordKey);
+    }
+
+    for (const method of ['put', 'add']) {
+      const original = scope.IDBObjectStore.prototype[method];
+
+      patch(scope.IDBObjectStore.prototype, method, {
+        value: function (value, key) {
+          const recordKey = getRecordKey(this, value, key);
+          const keyName = typeof recordKey === 'string' ? recordKey : '';
+          const suspiciousStore = matchesKeyRules(this.name, rules);
+
+          if (suspiciousStore || matchesKeyRules(keyName, rules) || rules.learnedKeys.includes(keyName)) {
+            const target = suspiciousStore ? this.name : keyName;
+            checkWrite(this, original, value, key, recordKey);
+            log(`Blocked suspicious IndexedDB ${method}: "${this.name}" / "${keyName}"`);
+            reportBlocked(`IDBObjectStore.${method}`, target);
+            // Dropped: hand back a real request that succeeds without
+            // writing, with the record's key as its result
+            const request = recordKey === undefined ? this.count() : this.count(recordKey);
+            droppedWrites.set(request, recordKey);
+            return request;
+          }
+
+          return original.apply(this, arguments);
+        }
+      });
+    }
+    log('IndexedDB write interception installed');
+  }
+
+  installIndexedDBFilter(window, { log, reportBlocked, patch }, keyRules);
+  addWorkerPrelude(installIndexedDBFilter, { helpers: [matchesKeyRules, getRecordKey], getData: () => keyRules });
+
+})();
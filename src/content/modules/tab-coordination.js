@@ -0,0 +1,171 @@
+/**
+ * Redirect Blocker - Tab Coordination Module
+ *
+ * Gives every tab its own namespace for Web Locks and its own SharedWorker
+ * instances, so sites that enforce a single tab through lock contention
+ * (`navigator.locks.request('single-tab', { ifAvailable: true })`) or a
+ * shared coordinating worker never see another tab. The frames of a tab,
+ * and their workers, share the namespace.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    log, reportBlocked, patch, addWorkerPrelude, addWorkerLink, getTabToken, whenTabKnown
+  } = window.__redirectBlocker__;
+
+  // Appended to lock and worker names, followed by the tab token
+  const TAB_SUFFIX = ':rb-tab-';
+
+  // Self-contained (see addWorkerPrelude), like the functions below, so they
+  // also run in worker scopes
+  //
+  // Report each lock/worker name once, not on every request
+  function createReportOnce({ log, reportBlocked }) {
+    const reportedNames = new Set();
+    return (mechanism, name) => {
+      const key = `${mechanism}:${name}`;
+      if (reportedNames.has(key)) return;
+      reportedNames.add(key);
+      log(`Isolated ${mechanism}: "${name}"`);
+      reportBlocked(mechanism, name, 'isolated');
+    };
+  }
+
+  // ============================================
+  // Web Locks
+  // ============================================
+
+  // `tab` gives the tab token: getToken() (null until known) and whenKnown()
+  function installLockIsolation(scope, { log, patch }, tab, reportOnce) {
+    const { LockManager, Lock } = scope;
+    if (!LockManager || !Lock) return;
+
+    const TAB_SUFFIX = ':rb-tab-';
+    const toPageName = (name) => {
+      const at = name.lastIndexOf(TAB_SUFFIX);
+      return at === -1 ? name : name.slice(0, at);
+    };
+    // Lock requests made before the tab token is known wait for it
+    const withTabToken = (run) => (tab.getToken() !== null ? run(tab.getToken()) : tab.whenKnown().then(run));
+
+    try {
+      const originalRequest = LockManager.prototype.request;
+      const originalQuery = LockManager.prototype.query;
+      const nameDescriptor = Object.getOwnPropertyDescriptor(Lock.prototype, 'name');
+
+      // request(name, callback) or request(name, options, callback)
+      patch(LockManager.prototype, 'request', {
+        value: function (name, ...args) {
+          const lockName = String(name);
+          reportOnce('navigator.locks', lockName);
+          return withTabToken(token => originalRequest.call(this, lockName + TAB_SUFFIX + token, ...args));
+        }
+      });
+
+      // Only this tab's locks, under the names the page used
+      patch(LockManager.prototype, 'query', {
+        value: async function () {
+          const token = await withTabToken(token => token);
+          const snapshot = await originalQuery.call(this);
+          const own = (list) => (list || [])
+            .filter(info => info.name && info.name.endsWith(TAB_SUFFIX + token))
+            .map(info => ({ ...info, name: toPageName(info.name) }));
+          return { held: own(snapshot.held), pending: own(snapshot.pending) };
+        }
+      });
+
+      // Lock objects handed to callbacks report the original name
+      patch(Lock.prototype, 'name', {
+        get: function () {
+          return toPageName(nameDescriptor.get.call(this));
+        }
+      });
+
+      log('Web Locks isolation installed');
+    } catch (e) {
+      log('Web Locks isolation failed:', e);
+    }
+  }
+
+  // ============================================
+  // Worker Scopes
+  // ============================================
+
+  // The tab token reaches workers over their link to the page (workers they
+  // start get it the same way). Shared workers run under the tab-specific
+  // name they were started with, but see the page's name.
+  function installWorkerTabCoordination(scope, api) {
+    const TAB_SUFFIX = ':rb-tab-';
+    let tabToken = null;
+    let resolveTabToken;
+    const tabTokenKnown = new Promise(resolve => { resolveTabToken = resolve; });
+
+    api.linkParent('tab', (token) => {
+      if (tabToken !== null) return;
+      tabToken = token;
+      resolveTabToken(token);
+    });
+    api.addWorkerLink('tab', (post) => {
+      tabTokenKnown.then(post);
+    });
+
+    const { SharedWorkerGlobalScope } = scope;
+    if (SharedWorkerGlobalScope && scope instanceof SharedWorkerGlobalScope) {
+      const nameDescriptor = Object.getOwnPropertyDescriptor(SharedWorkerGlobalScope.prototype, 'name');
+      api.patch(SharedWorkerGlobalScope.prototype, 'name', {
+        get: function () {
+          const name = nameDescriptor.get.call(this);
+          const at = name.lastIndexOf(TAB_SUFFIX);
+          return at === -1 ? name : name.slice(0, at);
+        }
+      });
+    }
+
+    installLockIsolation(scope, api, { getToken: () => tabToken, whenKnown: () => tabTokenKnown }, createReportOnce(api));
+  }
+
+  const reportOnce = createReportOnce({ log, reportBlocked });
+
+  installLockIsolation(window, { log, patch }, { getToken: getTabToken, whenKnown: whenTabKnown }, reportOnce);
+  addWorkerLink('tab', (post) => {
+    whenTabKnown().then(post);
+  });
+  addWorkerPrelude(installWorkerTabCoordination, {
+    helpers: [createReportOnce, installLockIsolation]
+  });
+
+  // ============================================
+  // SharedWorker
+  // ============================================
+
+  // Shared workers are shared per (script URL, name); a per-tab name gives
+  // every tab a private instance of the same worker script. Workers started
+  // before the tab token is known are private to this frame.
+  const OriginalSharedWorker = window.SharedWorker;
+  const FRAME_ID = `frame-${Math.random().toString(36).slice(2, 10)}`;
+
+  if (OriginalSharedWorker) {
+    patch(window, 'SharedWorker', {
+      value: function (scriptURL, options) {
+        if (!new.target) {
+          throw new TypeError("Failed to construct 'SharedWorker': Please use the 'new' operator, this DOM object constructor cannot be called as a function.");
+        }
+
+        const workerOptions = typeof options === 'string'
+          ? { name: options }
+          : { ...(options || {}) };
+        workerOptions.name = String(workerOptions.name || '') + TAB_SUFFIX + (getTabToken() ?? FRAME_ID);
+
+        reportOnce('SharedWorker', String(scriptURL));
+        return Reflect.construct(OriginalSharedWorker, [scriptURL, workerOptions], new.target);
+      }
+    });
+    log('SharedWorker isolation installed');
+  }
+
+})();
@@ -0,0 +1,76 @@
+/**
+ * Redirect Blocker - Visibility Spoofing Module
+ *
+ * Reports the page as always visible and focused: `document.hidden`,
+ * `document.visibilityState` and `document.hasFocus()` never change, and
+ * `visibilitychange`, window `blur` and window `focus` events never reach
+ * page scripts. Meant for sites that log people out when another tab gets
+ * focus (exam and streaming portals).
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const { log, reportBlocked, patch } = window.__redirectBlocker__;
+
+  // ============================================
+  // Visibility & Focus Properties
+  // ============================================
+
+  const SPOOFED_GETTERS = {
+    hidden: false,
+    visibilityState: 'visible',
+    webkitHidden: false,
+    webkitVisibilityState: 'visible'
+  };
+
+  for (const [property, value] of Object.entries(SPOOFED_GETTERS)) {
+    const descriptor = Object.getOwnPropertyDescriptor(Document.prototype, property);
+    if (!descriptor || !descriptor.get) continue;
+
+    try {
+      patch(Document.prototype, property, {
+        get: function () { return value; }
+      });
+    } catch (e) {
+      log(`Could not spoof document.${property}:`, e);
+    }
+  }
+
+  try {
+    patch(Document.prototype, 'hasFocus', {
+      value: function () { return true; }
+    });
+  } catch (e) {
+    log('Could not spoof document.hasFocus:', e);
+  }
+
+  // ============================================
+  // Visibility & Focus Events
+  // ============================================
+
+  // Registered before any page script, so these capture listeners on window
+  // run first and stop the events before page listeners (or on* handlers) see
+  // them. Element focus/blur events pass; only the page-level ones are hidden.
+  const SUPPRESSED_EVENTS = {
+    visibilitychange: () => true,
+    webkitvisibilitychange: () => true,
+    blur: (event) => event.target === window,
+    focus: (event) => event.target === window
+  };
+
+  for (const [type, applies] of Object.entries(SUPPRESSED_EVENTS)) {
+    window.addEventListener(type, (event) => {
+      if (!applies(event)) return;
+      event.stopImmediatePropagation();
+      log(`Suppressed ${type} event`);
+      reportBlocked(type, event.target === window ? 'window' : 'document');
+    }, true);
+  }
+
+  log('Visibility & focus spoofing installed');
+
+})();
@@ -0,0 +1,730 @@
+/**
+ * Redirect Blocker - Worker Protection Module
+ *
+ * Carries the protections into code that would otherwise run out of their
+ * reach. Dedicated and shared workers (and workers they start themselves)
+ * get the code sanitizer and the worker preludes of the enabled modules
+ * (Function/eval/timer stripping, BroadcastChannel, IndexedDB key filter)
+ * installed before their own script runs. Scripts a worker loads from a blob
+ * URL are sanitized like any other, when the worker loads them.
+ *
+ * Injected after blocker.js as part of the same content script (MAIN world,
+ * document_start), only on sites whose profile enables this module.
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    log, reportBlocked, createSanitizer, createStealth, getWorkerPreludes, getWorkerLinks, patch,
+    OriginalBroadcastChannel
+  } = window.__redirectBlocker__;
+
+  const OriginalWorker = window.Worker;
+  const OriginalSharedWorker = window.SharedWorker;
+  const nativeCreateObjectURL = URL.createObjectURL;
+  const nativeRevokeObjectURL = URL.revokeObjectURL;
+  const nativeFunctionToString = Function.prototype.toString;
+  const nativeStringify = JSON.stringify;
+
+  function createBlobUrl(code) {
+    return nativeCreateObjectURL.call(URL, new Blob([code], { type: 'text/javascript' }));
+  }
+
+  function createName(prefix) {
+    return `${prefix}${Math.random().toString(36).slice(2)}`;
+  }
+
+  // ============================================
+  // Blob URLs
+  // ============================================
+
+  // Object URL -> Blob, so a worker can still read its script after the
+  // page revokes the URL (usually right after `new Worker(url)`). Nothing is
+  // read here: the bootstrap sanitizes the script when the worker loads it.
+  const blobsByUrl = new Map();
+
+  patch(URL, 'createObjectURL', {
+    value: function (object) {
+      const url = nativeCreateObjectURL.call(this, object);
+      if (object instanceof Blob) blobsByUrl.set(url, object);
+      return url;
+    }
+  });
+
+  patch(URL, 'revokeObjectURL', {
+    value: function (url) {
+      blobsByUrl.delete(String(url));
+      return nativeRevokeObjectURL.apply(this, arguments);
+    }
+  });
+
+  // ============================================
+  // Module Loader
+  // ============================================
+
+  /**
+   * Loads module graphs inside a worker (serialized with toString, so it
+   * must stay self-contained). Every module of the graph is fetched,
+   * sanitized and run from a blob whose static imports point at the blobs
+   * of its dependencies. `import()` and `import.meta` in the loaded code are
+   * routed through the loader, so modules imported later are sanitized too
+   * and every module still sees its own URL. A graph that can't be loaded
+   * this way (import cycle, fetch error, no JavaScript) is imported natively.
+   *
+   * `names` are the bindings the rewritten code uses; `importModule` is the
+   * native import() of the worker.
+   */
+  function createModuleLoader(api, { names, importModule, fetchScript }) {
+    const JS_MIME_TYPE = /(?:java|ecma)script/i;
+    // Module URL -> Promise of { base, code, found, deps }
+    const sources = new Map();
+    // Module URL -> blob URL of its rewritten code
+    const blobs = new Map();
+    const metas = new Map();
+
+    const createBlobUrl = (code) => URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+
+    // Relative and absolute URLs; bare specifiers don't resolve in workers
+    const isUrlSpecifier = (specifier) => /^(?:\.{0,2}\/|[a-z][a-z\d+.-]*:)/i.test(specifier);
+
+    function applyEdits(code, edits) {
+      let result = '';
+      let last = 0;
+      for (const edit of edits.sort((a, b) => a.start - b.start)) {
+        result += code.slice(last, edit.start) + edit.text;
+        last = edit.end;
+      }
+      return result + code.slice(last);
+    }
+
+    // Rewritten modules import the loader's entry points from this module
+    const bindingsUrl = createBlobUrl('export let load, meta;\nexport function init(l, m) { load = l; meta = m; }\n');
+    // Rejects when the worker's CSP refuses blob: scripts; then everything loads natively
+    const ready = importModule(bindingsUrl).then(bindings => bindings.init(importFrom, getMeta));
+
+    function getMeta(base) {
+      if (!metas.has(base)) {
+        metas.set(base, { url: base, resolve: (specifier) => new URL(specifier, base).href });
+      }
+      return metas.get(base);
+    }
+
+    function fetchSource(url) {
+      if (!sources.has(url)) {
+        sources.set(url, fetchScript(url).then(async (response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          if (!JS_MIME_TYPE.test(response.headers.get('content-type') || '')) {
+            throw new Error('not a JavaScript response');
+          }
+          const base = response.url || url;
+          const code = await response.text();
+          const found = api.sanitizeCode.findImports(code);
+          if (!found) throw new Error('does not tokenize');
+
+          const deps = new Map();
+          for (const entry of found) {
+            if (entry.type === 'static' && !entry.attributes && isUrlSpecifier(entry.specifier)) {
+              deps.set(entry, new URL(entry.specifier, base).href);
+            }
+          }
+          return { base, code, found, deps };
+        }));
+      }
+      return sources.get(url);
+    }
+
+    // Fetches the whole static graph, in parallel
+    async function fetchGraph(url, seen) {
+      if (seen.has(url)) return;
+      seen.add(url);
+      const { deps } = await fetchSource(url);
+      await Promise.all([...deps.values()].map(dep => fetchGraph(dep, seen)));
+    }
+
+    // Blob URLs can't point at each other in a circle, so cycles give up
+    async function build(url, stack) {
+      if (blobs.has(url)) return blobs.get(url);
+      if (stack.includes(url)) throw new Error(`import cycle at ${url}`);
+
+      const { base, code, found, deps } = await fetchSource(url);
+      const edits = [];
+      for (const entry of found) {
+        const at = JSON.stringify(base);
+        if (entry.type === 'dynamic') {
+          edits.push({ start: entry.start, end: entry.end, text: `(${names.load}(${at}))` });
+        } else if (entry.type === 'meta') {
+          edits.push({ start: entry.start, end: entry.end, text: `(${names.meta}(${at}))` });
+        } else if (entry.type === 'static' && isUrlSpecifier(entry.specifier)) {
+          const target = deps.has(entry) ? await build(deps.get(entry), [...stack, url]) : new URL(entry.specifier, base).href;
+          edits.push({ start: entry.start, end: entry.end, text: JSON.stringify(target) });
+        }
+      }
+
+      // On the first line, after a hashbang, so line numbers don't move
+      const bindings = `import { load as ${names.load}, meta as ${names.meta} } from ${JSON.stringify(bindingsUrl)};`;
+      const clean = api.sanitizeCode(applyEdits(code, edits), base);
+      const split = clean.startsWith('#!') ? clean.indexOf('\n') + 1 || clean.length : 0;
+      const blobUrl = createBlobUrl(clean.slice(0, split) + bindings + clean.slice(split));
+      blobs.set(url, blobUrl);
+      return blobUrl;
+    }
+
+    async function loadGraph(url) {
+      await ready;
+      await fetchGraph(url, new Set());
+      return build(url, []);
+    }
+
+    /**
+     * Import the module at `url` through the loader, or natively if its
+     * graph can't be loaded
+     */
+    function importUrl(url) {
+      return loadGraph(url).then(blobUrl => importModule(blobUrl), (error) => {
+        api.log(`Loading module ${url} unmodified:`, error.message);
+        return importModule(url);
+      });
+    }
+
+    // What `import(...)` in code loaded from `base` turns into
+    function importFrom(base) {
+      return (specifier, options) => Promise.resolve().then(() => {
+        const text = `${specifier}`;
+        // Import attributes (JSON, CSS) and bare specifiers stay native
+        if (options !== undefined || !isUrlSpecifier(text)) return importModule(text, options);
+        return importUrl(new URL(text, base).href);
+      });
+    }
+
+    /**
+     * Rewrite the `import()` calls of a classic script loaded from `base`
+     */
+    function rewriteScript(code, base) {
+      const found = api.sanitizeCode.findImports(code);
+      if (!found) return code;
+      const at = JSON.stringify(base);
+      return applyEdits(code, found.filter(entry => entry.type === 'dynamic')
+        .map(entry => ({ start: entry.start, end: entry.end, text: `(${names.load}(${at}))` })));
+    }
+
+    return { importUrl, importFrom, rewriteScript };
+  }
+
+  // ============================================
+  // Worker Bootstrap
+  // ============================================
+
+  /**
+   * Runs first inside the worker (serialized with toString, so it must stay
+   * self-contained). Installs the sanitizer, the stealth helpers and the
+   * preludes, makes the worker see its original URL, then runs the worker's
+   * script: a classic one from a sanitized blob, a module through the
+   * module loader. `setImporter` binds the loader's import() for classic
+   * code. Returns a promise for module workers.
+   */
+  function workerBootstrap(config, createSanitizer, createStealth, createModuleLoader, buildBootstrapSource, preludes, setImporter) {
+    const scope = self;
+    const nativeFunctionToString = Function.prototype.toString;
+    const stealth = createStealth(scope);
+    const nativeOpen = XMLHttpRequest.prototype.open;
+    const nativeImportScripts = scope.importScripts;
+    const nativeFetch = scope.fetch;
+    const NativeWorker = scope.Worker;
+    const nativeWorkerPostMessage = NativeWorker && NativeWorker.prototype.postMessage;
+    const pending = [];
+    let port = null;
+
+    // Links of the page's modules (see addWorkerLink in blocker.js): topic ->
+    // receiver of the page's messages, and topic -> connect() of the links
+    // this worker offers the workers it starts
+    const linkReceivers = new Map();
+    const workerLinks = new Map();
+    const receiveFromParent = ({ data }) => {
+      const receive = data && data.type === 'link' && linkReceivers.get(data.topic);
+      if (receive) receive(data.message);
+    };
+
+    // Logs and reports go back to the page over a private MessageChannel,
+    // whose port is the very first message (of each client, for a shared
+    // worker, the last client's port being used)
+    const send = (message) => (port ? port.postMessage(message) : pending.push(message));
+    const receivePort = (event) => {
+      if (event.data !== config.channel) return false;
+      event.stopImmediatePropagation();
+      if (port) port.onmessage = null;
+      port = event.ports[0];
+      port.onmessage = receiveFromParent;
+      pending.splice(0).forEach(message => port.postMessage(message));
+      return true;
+    };
+    if (config.shared) {
+      // At the target, capture listeners run before the page's own
+      scope.addEventListener('connect', (event) => {
+        const clientPort = event.ports[0];
+        clientPort.addEventListener('message', function receive(message) {
+          if (receivePort(message)) clientPort.removeEventListener('message', receive, true);
+        }, true);
+      }, true);
+    } else {
+      scope.addEventListener('message', function receive(event) {
+        if (receivePort(event)) scope.removeEventListener('message', receive, true);
+      }, true);
+    }
+
+    const api = {
+      log: (message, ...args) => send({ type: 'log', message: String(message), args: args.map(String) }),
+      reportBlocked: (mechanism, target, action) => send({ type: 'report', mechanism, target: String(target), action }),
+      linkParent: (topic, receive) => {
+        linkReceivers.set(topic, receive);
+        return (message) => send({ type: 'link', topic, message });
+      },
+      addWorkerLink: (topic, connect) => workerLinks.set(topic, connect)
+    };
+    api.sanitizeCode = createSanitizer({ log: api.log, stringify: JSON.stringify });
+    api.patch = stealth.patch;
+    api.makeNative = stealth.makeNative;
+    api.makeNativeClass = stealth.makeNativeClass;
+
+    // The worker runs from a blob URL; keep self.location and relative URLs
+    // pointing at the script it was created with
+    const baseUrl = new URL(config.url);
+    for (const key of ['href', 'origin', 'protocol', 'host', 'hostname', 'port', 'pathname', 'search', 'hash']) {
+      stealth.patch(WorkerLocation.prototype, key, { get: () => baseUrl[key] });
+    }
+    stealth.patch(WorkerLocation.prototype, 'toString', { value: () => baseUrl.href });
+
+    const resolve = (url) => {
+      if (typeof url !== 'string') return url;
+      try {
+        return new URL(url, baseUrl).href;
+      } catch (e) {
+        return url;
+      }
+    };
+
+    stealth.patch(scope, 'fetch', {
+      value: function (input, init) {
+        return nativeFetch.call(this, resolve(input), init);
+      }
+    });
+    stealth.patch(XMLHttpRequest.prototype, 'open', {
+      value: function (method, url, ...args) {
+        return nativeOpen.call(this, method, resolve(url), ...args);
+      }
+    });
+
+    for (const install of preludes) {
+      try {
+        install(scope, api);
+      } catch (e) {
+        api.log('Worker prelude failed:', e);
+      }
+    }
+
+    const loader = createModuleLoader(api, {
+      names: config.names,
+      importModule: (url, options) => import(url, options),
+      fetchScript: (url) => nativeFetch.call(scope, url, { credentials: 'same-origin' })
+    });
+    setImporter(loader.importFrom);
+
+    // Workers started from here get the same bootstrap
+    if (NativeWorker) {
+      const sources = {
+        bootstrap: nativeFunctionToString.call(workerBootstrap),
+        sanitizer: nativeFunctionToString.call(createSanitizer),
+        stealth: nativeFunctionToString.call(createStealth),
+        loader: nativeFunctionToString.call(createModuleLoader),
+        builder: nativeFunctionToString.call(buildBootstrapSource),
+        preludes: preludes.map(install => nativeFunctionToString.call(install))
+      };
+      const createName = (prefix) => `${prefix}${Math.random().toString(36).slice(2)}`;
+      let blobWorkersRefused = false;
+
+      stealth.patch(scope, 'Worker', {
+        value: function (scriptURL, options) {
+          if (!new.target) {
+            throw new TypeError("Failed to construct 'Worker': Please use the 'new' operator, this DOM object constructor cannot be called as a function.");
+          }
+
+          let url = null;
+          try {
+            url = arguments.length > 0 ? new URL(String(scriptURL), baseUrl) : null;
+          } catch (e) { /* the constructor throws its own error */ }
+          // Same origin only; blob URLs made in here aren't tracked
+          if (!url || blobWorkersRefused || url.origin !== baseUrl.origin) {
+            return Reflect.construct(NativeWorker, arguments, new.target);
+          }
+
+          const workerConfig = {
+            url: url.href,
+            source: url.href,
+            type: options && options.type === 'module' ? 'module' : 'classic',
+            shared: false,
+            channel: createName('rb-worker-'),
+            names: config.names
+          };
+          const bootstrapUrl = URL.createObjectURL(new Blob([buildBootstrapSource(workerConfig, sources)], { type: 'text/javascript' }));
+
+          let worker;
+          try {
+            worker = Reflect.construct(NativeWorker, [bootstrapUrl, options], new.target);
+          } catch (e) {
+            URL.revokeObjectURL(bootstrapUrl);
+            if (e.name !== 'SecurityError') throw e;
+            blobWorkersRefused = true;
+            api.log('CSP refuses blob: workers, starting workers unmodified');
+            return Reflect.construct(NativeWorker, arguments, new.target);
+          }
+
+          const channel = new MessageChannel();
+          const receivers = new Map();
+          workerLinks.forEach((connect, topic) => {
+            const receive = connect(message => channel.port1.postMessage({ type: 'link', topic, message }));
+            if (typeof receive === 'function') receivers.set(topic, receive);
+          });
+          channel.port1.onmessage = ({ data }) => {
+            if (data && data.type === 'ready') {
+              URL.revokeObjectURL(bootstrapUrl);
+            } else if (data && data.type === 'link') {
+              const receive = receivers.get(data.topic);
+              if (receive) receive(data.message);
+            } else {
+              send(data);
+            }
+          };
+          nativeWorkerPostMessage.call(worker, workerConfig.channel, [channel.port2]);
+          api.log(`Protected nested worker: ${workerConfig.url}`);
+          return worker;
+        }
+      });
+    }
+
+    // Before any worker code runs, once everything is patched
+    const checkStealth = () => {
+      const leaks = stealth.selfCheck();
+      api.log(leaks.length ? `Stealth self-check found ${leaks.length} leak(s): ${leaks.join('; ')}` : 'Stealth self-check: no leaks');
+    };
+
+    if (config.type !== 'classic') {
+      checkStealth();
+
+      // The module's own listeners only exist once it has run; messages and
+      // connections arriving while the graph loads are held until then
+      const held = [];
+      const hold = (event) => {
+        event.stopImmediatePropagation();
+        held.push(event);
+      };
+      scope.addEventListener('message', hold, true);
+      scope.addEventListener('connect', hold, true);
+      const release = () => {
+        scope.removeEventListener('message', hold, true);
+        scope.removeEventListener('connect', hold, true);
+        held.splice(0).forEach(event => scope.dispatchEvent(new MessageEvent(event.type, {
+          data: event.data, origin: event.origin, lastEventId: event.lastEventId, ports: [...event.ports]
+        })));
+        send({ type: 'ready' });
+      };
+      return loader.importUrl(config.source).finally(release);
+    }
+
+    // Classic scripts are fetched, sanitized and run from a blob; a script
+    // that can't be fetched, or a blob the worker's CSP refuses, goes to
+    // importScripts as is, which throws the error the worker would have seen
+    let blobScriptsAllowed = true;
+    const runScript = (url) => {
+      let code = null;
+      try {
+        const xhr = new XMLHttpRequest();
+        nativeOpen.call(xhr, 'GET', url, false);
+        xhr.send();
+        if (xhr.status >= 200 && xhr.status < 300) code = xhr.responseText;
+      } catch (e) { /* fall through */ }
+
+      if (code === null || !blobScriptsAllowed) return nativeImportScripts.call(scope, url);
+      const clean = loader.rewriteScript(api.sanitizeCode(code, url), url);
+      const blobUrl = URL.createObjectURL(new Blob([clean], { type: 'text/javascript' }));
+      try {
+        nativeImportScripts.call(scope, blobUrl);
+      } catch (e) {
+        // Errors thrown by the script itself propagate; NetworkError is the refused blob
+        if (!(e instanceof DOMException) || e.name !== 'NetworkError') throw e;
+        blobScriptsAllowed = false;
+        api.log('CSP refuses blob: scripts, running worker scripts unmodified');
+        nativeImportScripts.call(scope, url);
+      } finally {
+        URL.revokeObjectURL(blobUrl);
+      }
+    };
+
+    stealth.patch(scope, 'importScripts', {
+      value: function (...urls) {
+        urls.forEach(url => runScript(resolve(String(url))));
+      }
+    });
+
+    checkStealth();
+    try {
+      runScript(config.source);
+    } finally {
+      send({ type: 'ready' });
+    }
+  }
+
+  /**
+   * Source of a bootstrap script, from the serialized functions above (also
+   * used inside workers, for the workers they start)
+   */
+  function buildBootstrapSource(config, { bootstrap, sanitizer, stealth, loader, builder, preludes }) {
+    const call = `(${bootstrap})(${JSON.stringify(config)}, ${sanitizer}, ${stealth}, ${loader}, ${builder}, [${preludes.join(',\n')}]`;
+    if (config.type === 'module') {
+      return `await ${call}, () => {});\n`;
+    }
+    // A global lexical binding: classic code calls the loader by this name
+    return `'use strict';
+let ${config.names.load};
+${call}, (importer) => { ${config.names.load} = importer; });
+`;
+  }
+
+  function getBootstrapSources() {
+    const source = (fn) => nativeFunctionToString.call(fn);
+    return {
+      bootstrap: source(workerBootstrap),
+      sanitizer: source(createSanitizer),
+      stealth: source(createStealth),
+      loader: source(createModuleLoader),
+      builder: source(buildBootstrapSource),
+      preludes: getWorkerPreludes().map(({ install, helpers, getData }) => `function (scope, api) {
+${helpers.map(source).join('\n')}
+return (${source(install)})(scope, api, ${nativeStringify(getData())});
+}`)
+    };
+  }
+
+  /**
+   * Blob URL to start the worker from, plus the URLs to revoke once it has
+   * loaded; null when the worker should start unmodified
+   */
+  function createBootstrap(scriptURL, options, shared) {
+    let url;
+    try {
+      url = new URL(String(scriptURL), document.baseURI);
+    } catch (e) {
+      return null; // Let the constructor throw its own error
+    }
+
+    let source = url.href;
+    const urls = [];
+    if (url.protocol === 'blob:') {
+      const blob = blobsByUrl.get(url.href);
+      if (!blob) return null;
+      source = nativeCreateObjectURL.call(URL, blob);
+      urls.push(source);
+    } else if (url.origin !== window.location.origin) {
+      // Cross-origin (the constructor throws) or data: (opaque origin)
+      return null;
+    }
+
+    const config = {
+      url: url.href,
+      source,
+      type: options && typeof options === 'object' && options.type === 'module' ? 'module' : 'classic',
+      shared,
+      channel: createName('rb-worker-'),
+      names: { load: createName('rbImport'), meta: createName('rbMeta') }
+    };
+
+    const bootstrapUrl = createBlobUrl(buildBootstrapSource(config, getBootstrapSources()));
+    urls.push(bootstrapUrl);
+    return { url: bootstrapUrl, config, urls };
+  }
+
+  // ============================================
+  // Workers
+  // ============================================
+
+  // Classic workers: the script and everything it loads with importScripts
+  // are sanitized before they run. Module workers: the whole module graph is
+  // loaded through the module loader. In both, import() goes through the
+  // loader too, and workers started from a worker get the same bootstrap.
+  const nativeWorkerPostMessage = OriginalWorker && OriginalWorker.prototype.postMessage;
+  const portPostMessage = MessagePort.prototype.postMessage;
+  const workerPortDescriptor = OriginalSharedWorker && Object.getOwnPropertyDescriptor(OriginalSharedWorker.prototype, 'port');
+
+  // Set once the page's CSP refuses a worker started from a blob
+  let blobWorkersRefused = false;
+
+  /**
+   * Construct the worker from its bootstrap; null (and no more bootstraps
+   * on this page) when the page's CSP refuses blob: workers
+   */
+  function startWorker(Original, bootstrap, args, newTarget) {
+    try {
+      return Reflect.construct(Original, [bootstrap.url, ...args.slice(1)], newTarget);
+    } catch (e) {
+      bootstrap.urls.forEach(url => nativeRevokeObjectURL.call(URL, url));
+      if (e.name !== 'SecurityError') throw e;
+      blobWorkersRefused = true;
+      log('CSP refuses blob: workers, starting workers unmodified');
+      return null;
+    }
+  }
+
+  function connectWorker(target, bootstrap, { revoke }) {
+    const channel = new MessageChannel();
+    const receivers = new Map();
+    getWorkerLinks().forEach((connect, topic) => {
+      const receive = connect(message => channel.port1.postMessage({ type: 'link', topic, message }));
+      if (typeof receive === 'function') receivers.set(topic, receive);
+    });
+    channel.port1.onmessage = ({ data }) => {
+      if (!data || typeof data !== 'object') return;
+      if (data.type === 'ready') {
+        if (revoke) bootstrap.urls.forEach(url => nativeRevokeObjectURL.call(URL, url));
+      } else if (data.type === 'link') {
+        const receive = receivers.get(data.topic);
+        if (receive) receive(data.message);
+      } else if (data.type === 'log') {
+        log(`[worker] ${data.message}`, ...data.args);
+      } else if (data.type === 'report') {
+        reportBlocked(data.mechanism, data.target, data.action);
+      }
+    };
+    target(bootstrap.config.channel, [channel.port2]);
+  }
+
+  if (OriginalWorker) {
+    patch(window, 'Worker', {
+      value: function (scriptURL, options) {
+        if (!new.target) {
+          throw new TypeError("Failed to construct 'Worker': Please use the 'new' operator, this DOM object constructor cannot be called as a function.");
+        }
+
+        const bootstrap = arguments.length > 0 && !blobWorkersRefused ? createBootstrap(scriptURL, options, false) : null;
+        const worker = bootstrap && startWorker(OriginalWorker, bootstrap, [...arguments], new.target);
+        if (!worker) {
+          return Reflect.construct(OriginalWorker, arguments, new.target);
+        }
+
+        connectWorker((message, transfer) => nativeWorkerPostMessage.call(worker, message, transfer), bootstrap, { revoke: true });
+        log(`Protected worker: ${bootstrap.config.url}`);
+        return worker;
+      }
+    });
+    log('Worker protection installed');
+  }
+
+  // A shared worker is identified by its script URL and name, so all the
+  // documents of an origin that start one for the same script and name have
+  // to start it from the same bootstrap. Bootstraps are kept per key, and
+  // the ones this document created are announced to its origin's other
+  // documents, which reuse them. With tab coordination the name ends in the
+  // tab token, which keeps the sharing within the tab.
+  //
+  // A blob URL lives as long as the document that created it; announcements
+  // are withdrawn when it goes away. A document that starts a worker before
+  // the others answered creates a bootstrap of its own.
+  const SHARED_REGISTRY_CHANNEL = 'rb-shared-workers';
+  // Key -> bootstrap; the ones created here have URLs to revoke
+  const sharedBootstraps = new Map();
+  let sharedRegistry = null;
+
+  const isOwnBootstrap = (bootstrap) => bootstrap.urls.length > 0;
+
+  function announceSharedBootstrap(key, { url, config }) {
+    if (sharedRegistry) sharedRegistry.postMessage({ type: 'announce', key, bootstrap: { url, config } });
+  }
+
+  function withdrawSharedBootstrap(key, { url }) {
+    if (sharedRegistry) sharedRegistry.postMessage({ type: 'withdraw', key, url });
+  }
+
+  function forEachOwnBootstrap(callback) {
+    sharedBootstraps.forEach((bootstrap, key) => {
+      if (isOwnBootstrap(bootstrap)) callback(key, bootstrap);
+    });
+  }
+
+  function openSharedRegistry() {
+    try {
+      sharedRegistry = new OriginalBroadcastChannel(SHARED_REGISTRY_CHANNEL);
+    } catch (e) {
+      log('SharedWorker bootstraps not shared with other documents:', e.message);
+      return;
+    }
+    sharedRegistry.onmessage = ({ data }) => {
+      if (!data || typeof data !== 'object') return;
+      if (data.type === 'query') {
+        forEachOwnBootstrap(announceSharedBootstrap);
+      } else if (data.type === 'announce') {
+        if (!sharedBootstraps.has(data.key)) {
+          sharedBootstraps.set(data.key, { url: data.bootstrap.url, config: data.bootstrap.config, urls: [] });
+        }
+      } else if (data.type === 'withdraw') {
+        const bootstrap = sharedBootstraps.get(data.key);
+        if (bootstrap && bootstrap.url === data.url) sharedBootstraps.delete(data.key);
+      }
+    };
+    sharedRegistry.postMessage({ type: 'query' });
+
+    // Announced again when the document comes back from the back/forward cache
+    window.addEventListener('pagehide', () => forEachOwnBootstrap(withdrawSharedBootstrap), true);
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) forEachOwnBootstrap(announceSharedBootstrap);
+    }, true);
+  }
+
+  if (OriginalSharedWorker) {
+    if (OriginalBroadcastChannel) openSharedRegistry();
+
+    patch(window, 'SharedWorker', {
+      value: function (scriptURL, options) {
+        if (!new.target) {
+          throw new TypeError("Failed to construct 'SharedWorker': Please use the 'new' operator, this DOM object constructor cannot be called as a function.");
+        }
+
+        let bootstrap = null;
+        let key = null;
+        let created = false;
+        if (arguments.length > 0 && !blobWorkersRefused) {
+          const name = typeof options === 'object' && options ? String(options.name ?? '') : String(options ?? '');
+          const type = options && typeof options === 'object' ? options.type : undefined;
+          let url = String(scriptURL);
+          try {
+            url = new URL(url, document.baseURI).href;
+          } catch (e) { /* the constructor throws its own error */ }
+          key = nativeStringify([url, name, type]);
+          bootstrap = sharedBootstraps.get(key) || null;
+          if (!bootstrap) {
+            bootstrap = createBootstrap(scriptURL, options, true);
+            created = bootstrap !== null;
+          }
+          // Kept only while it works: startWorker revokes it on failure
+          sharedBootstraps.delete(key);
+        }
+
+        let worker = null;
+        try {
+          worker = bootstrap && startWorker(OriginalSharedWorker, bootstrap, [...arguments], new.target);
+        } finally {
+          // Its URLs are revoked now
+          if (bootstrap && !worker && isOwnBootstrap(bootstrap)) withdrawSharedBootstrap(key, bootstrap);
+        }
+        if (!worker) {
+          return Reflect.construct(OriginalSharedWorker, arguments, new.target);
+        }
+        sharedBootstraps.set(key, bootstrap);
+        if (created) announceSharedBootstrap(key, bootstrap);
+
+        const workerPort = workerPortDescriptor.get.call(worker);
+        connectWorker((message, transfer) => portPostMessage.call(workerPort, message, transfer), bootstrap, { revoke: false });
+        log(`Protected shared worker: ${bootstrap.config.url}`);
+        return worker;
+      }
+    });
+  }
+
+})();
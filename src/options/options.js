@@ -0,0 +1,662 @@
+/**
+ * Redirect Blocker - Options Page Script
+ *
+ * Manages the mode, the protected site list (add, remove, bulk edit, profiles,
+ * trusted redirect destinations, suspicious list changes), the global
+ * suspicious lists, learned heartbeat keys, the blocked event history and JSON import/export of
+ * the settings.
+ */
+
+document.addEventListener('DOMContentLoaded', init);
+
+let profileInfo = null;
+let siteRules = [];
+let editingDestinationsRule = null;
+let editingListsRule = null;
+let defaultSuspiciousLists = null;
+let importData = null;
+let toastTimeout = null;
+
+const EVENT_PAGE_SIZE = 200;
+
+// ============================================
+// Toast Notifications
+// ============================================
+
+function showToast(message, type = 'info') {
+    const toast = document.getElementById('toast');
+    if (!toast) return;
+
+    if (toastTimeout) {
+        clearTimeout(toastTimeout);
+    }
+
+    toast.classList.remove('show', 'error', 'success');
+    toast.textContent = message;
+    if (type === 'error') toast.classList.add('error');
+    if (type === 'success') toast.classList.add('success');
+
+    requestAnimationFrame(() => {
+        toast.classList.add('show');
+    });
+
+    toastTimeout = setTimeout(() => {
+        toast.classList.remove('show');
+    }, 4000);
+}
+
+// ============================================
+// Initialization
+// ============================================
+
+async function init() {
+    profileInfo = await chrome.runtime.sendMessage({ type: 'GET_PROFILES' });
+    fillProfileSelect(document.getElementById('newSiteProfile'), 'full');
+    // Hovering "Trust common sign-in providers" lists them
+    const { destinations } = await chrome.runtime.sendMessage({ type: 'GET_DEFAULT_DESTINATIONS' });
+    document.getElementById('destinationEditDefaults').parentElement.title = destinations.join('\n');
+
+    await loadSettings();
+    await loadSuspiciousLists();
+    await loadEvents();
+
+    document.querySelectorAll('input[name="mode"]').forEach(radio => {
+        radio.addEventListener('change', handleModeChange);
+    });
+    document.getElementById('debugLogging').addEventListener('change', handleDebugLoggingChange);
+    document.getElementById('addSiteForm').addEventListener('submit', handleAddSite);
+    document.getElementById('bulkEditButton').addEventListener('click', openBulkEdit);
+    document.getElementById('bulkEditCancel').addEventListener('click', closeBulkEdit);
+    document.getElementById('bulkEditSave').addEventListener('click', handleBulkSave);
+    document.getElementById('destinationEditCancel').addEventListener('click', closeDestinationEdit);
+    document.getElementById('destinationEditSave').addEventListener('click', handleDestinationSave);
+    document.getElementById('listEditCancel').addEventListener('click', closeListEdit);
+    document.getElementById('listEditSave').addEventListener('click', handleListEditSave);
+    document.getElementById('restoreSuspiciousLists').addEventListener('click', restoreSuspiciousLists);
+    document.getElementById('saveSuspiciousLists').addEventListener('click', handleSuspiciousListsSave);
+    document.getElementById('exportButton').addEventListener('click', handleExport);
+    document.getElementById('importFile').addEventListener('change', handleImportFile);
+    document.getElementById('importButton').addEventListener('click', handleImport);
+    document.getElementById('refreshEvents').addEventListener('click', loadEvents);
+    document.getElementById('clearEvents').addEventListener('click', handleClearEvents);
+    document.getElementById('eventMechanism').addEventListener('change', loadEvents);
+    document.getElementById('eventHostname').addEventListener('change', loadEvents);
+    document.getElementById('eventSearch').addEventListener('change', loadEvents);
+
+    // Stay in sync with changes made from the popup
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.settings) loadSettings();
+    });
+}
+
+async function loadSettings() {
+    try {
+        const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+
+        const modeRadio = document.querySelector(`input[name="mode"][value="${settings.mode}"]`);
+        if (modeRadio) modeRadio.checked = true;
+        document.getElementById('debugLogging').checked = Boolean(settings.debugLogging);
+
+        siteRules = settings.enabledSites;
+        renderSiteList();
+        renderLearnedKeys(settings.learnedKeys || {});
+    } catch (error) {
+        console.error('Failed to load settings:', error);
+        showToast('Failed to load settings', 'error');
+    }
+}
+
+async function handleModeChange(event) {
+    const mode = event.target.value;
+
+    try {
+        await chrome.runtime.sendMessage({ type: 'SET_MODE', mode });
+        showToast(`Mode changed to ${mode}`, 'success');
+    } catch (error) {
+        console.error('Failed to set mode:', error);
+        showToast('Failed to change mode', 'error');
+    }
+}
+
+async function handleDebugLoggingChange(event) {
+    const enabled = event.target.checked;
+
+    try {
+        await chrome.runtime.sendMessage({ type: 'SET_DEBUG_LOGGING', enabled });
+        showToast(`Page console logging ${enabled ? 'enabled' : 'disabled'}`, 'success');
+    } catch (error) {
+        console.error('Failed to set page console logging:', error);
+        showToast('Failed to change page console logging', 'error');
+    }
+}
+
+// ============================================
+// Site List
+// ============================================
+
+function fillProfileSelect(select, selected, includeCustom = false) {
+    select.innerHTML = '';
+    const profiles = includeCustom
+        ? { ...profileInfo.profiles, custom: { name: 'Custom' } }
+        : profileInfo.profiles;
+
+    for (const [id, profile] of Object.entries(profiles)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+    }
+    select.value = selected;
+}
+
+function renderSiteList() {
+    const list = document.getElementById('siteList');
+    const empty = document.getElementById('siteListEmpty');
+    const table = document.getElementById('siteTable');
+
+    list.innerHTML = '';
+    table.style.display = siteRules.length > 0 ? '' : 'none';
+    empty.style.display = siteRules.length > 0 ? 'none' : '';
+
+    const sorted = [...siteRules].sort((a, b) => a.label.localeCompare(b.label));
+    for (const rule of sorted) {
+        const row = document.createElement('tr');
+
+        const ruleCell = document.createElement('td');
+        ruleCell.className = 'site-rule';
+        ruleCell.textContent = rule.label;
+
+        const profileCell = document.createElement('td');
+        const select = document.createElement('select');
+        // Custom module lists are edited from the popup on the site itself
+        fillProfileSelect(select, rule.profile, rule.profile === 'custom');
+        select.addEventListener('change', () => handleProfileChange(rule, select.value));
+        profileCell.appendChild(select);
+
+        const guardCell = document.createElement('td');
+        const guardCheckbox = document.createElement('input');
+        guardCheckbox.type = 'checkbox';
+        guardCheckbox.checked = Boolean(rule.serverRedirectGuard);
+        guardCheckbox.addEventListener('change', () => handleServerRedirectGuardChange(rule, guardCheckbox));
+        guardCell.appendChild(guardCheckbox);
+
+        const destinationCell = document.createElement('td');
+        const destinationButton = document.createElement('button');
+        destinationButton.className = 'btn btn-link';
+        destinationButton.textContent = describeDestinations(rule);
+        destinationButton.addEventListener('click', () => openDestinationEdit(rule));
+        destinationCell.appendChild(destinationButton);
+
+        const listCell = document.createElement('td');
+        const listButton = document.createElement('button');
+        listButton.className = 'btn btn-link';
+        listButton.textContent = describeListChanges(rule);
+        listButton.addEventListener('click', () => openListEdit(rule));
+        listCell.appendChild(listButton);
+
+        const actionCell = document.createElement('td');
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn btn-link';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => handleRemoveSite(rule));
+        actionCell.appendChild(removeButton);
+
+        row.append(ruleCell, profileCell, guardCell, destinationCell, listCell, actionCell);
+        list.appendChild(row);
+    }
+}
+
+async function handleAddSite(event) {
+    event.preventDefault();
+    const input = document.getElementById('newSiteRule');
+    const profile = document.getElementById('newSiteProfile').value;
+
+    try {
+        const result = await chrome.runtime.sendMessage({ type: 'ADD_SITE_RULE', rule: input.value, profile });
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
+        input.value = '';
+        showToast('Site added', 'success');
+        await loadSettings();
+    } catch (error) {
+        console.error('Failed to add site:', error);
+        showToast('Failed to add site', 'error');
+    }
+}
+
+async function handleRemoveSite(rule) {
+    try {
+        const result = await chrome.runtime.sendMessage({ type: 'REMOVE_SITE_RULE', label: rule.label });
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
+        showToast(`Removed ${rule.label}`, 'success');
+        await loadSettings();
+    } catch (error) {
+        console.error('Failed to remove site:', error);
+        showToast('Failed to remove site', 'error');
+    }
+}
+
+async function handleProfileChange(rule, profile) {
+    try {
+        const { success } = await chrome.runtime.sendMessage({
+            type: 'SET_SITE_PROFILE',
+            label: rule.label,
+            profile,
+            modules: rule.modules
+        });
+        if (!success) throw new Error('Profile not applied');
+        showToast(`Profile updated for ${rule.label}`, 'success');
+        await loadSettings();
+    } catch (error) {
+        console.error('Failed to set profile:', error);
+        showToast('Failed to update profile', 'error');
+        renderSiteList();
+    }
+}
+
+async function handleServerRedirectGuardChange(rule, checkbox) {
+    try {
+        const { success } = await chrome.runtime.sendMessage({
+            type: 'SET_SERVER_REDIRECT_GUARD',
+            label: rule.label,
+            enabled: checkbox.checked
+        });
+        if (!success) throw new Error('Guard not applied');
+        showToast(`Server redirect guard ${checkbox.checked ? 'enabled' : 'disabled'} for ${rule.label}`, 'success');
+    } catch (error) {
+        console.error('Failed to set server redirect guard:', error);
+        showToast('Failed to update server redirect guard', 'error');
+        checkbox.checked = !checkbox.checked;
+    }
+}
+
+// ============================================
+// Trusted Destinations
+// ============================================
+
+function describeDestinations(rule) {
+    const parts = [];
+    if (rule.useDefaultDestinations !== false) parts.push('Defaults');
+    const custom = rule.trustedDestinations?.length || 0;
+    if (custom > 0) parts.push(`${custom} custom`);
+    return parts.length > 0 ? parts.join(' + ') : 'None';
+}
+
+function openDestinationEdit(rule) {
+    editingDestinationsRule = rule;
+    document.getElementById('destinationEditRule').textContent = rule.label;
+    document.getElementById('destinationEditDefaults').checked = rule.useDefaultDestinations !== false;
+    document.getElementById('destinationEditText').value = (rule.trustedDestinations || []).join('\n');
+    document.getElementById('destinationEdit').classList.add('visible');
+}
+
+function closeDestinationEdit() {
+    editingDestinationsRule = null;
+    document.getElementById('destinationEdit').classList.remove('visible');
+}
+
+async function handleDestinationSave() {
+    if (!editingDestinationsRule) return;
+    const rule = editingDestinationsRule;
+    const destinations = document.getElementById('destinationEditText').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    try {
+        const result = await chrome.runtime.sendMessage({
+            type: 'SET_TRUSTED_DESTINATIONS',
+            label: rule.label,
+            destinations,
+            useDefaults: document.getElementById('destinationEditDefaults').checked
+        });
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
+        closeDestinationEdit();
+        showToast(`Trusted destinations updated for ${rule.label}`, 'success');
+        await loadSettings();
+    } catch (error) {
+        console.error('Failed to set trusted destinations:', error);
+        showToast('Failed to update trusted destinations', 'error');
+    }
+}
+
+// ============================================
+// Suspicious Lists
+// ============================================
+
+// List name -> suffix of its textarea ids (suspiciousPaths, listEditPaths, ...)
+const SUSPICIOUS_LIST_FIELDS = { paths: 'Paths', keys: 'Keys', channels: 'Channels' };
+
+function readLines(textarea) {
+    return textarea.value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+function fillSuspiciousLists(lists) {
+    for (const [list, field] of Object.entries(SUSPICIOUS_LIST_FIELDS)) {
+        document.getElementById(`suspicious${field}`).value = lists[list].join('\n');
+    }
+}
+
+// Only on load and after saving, so unsaved edits survive settings updates
+async function loadSuspiciousLists() {
+    try {
+        const { lists, defaults } = await chrome.runtime.sendMessage({ type: 'GET_SUSPICIOUS_LISTS' });
+        defaultSuspiciousLists = defaults;
+        fillSuspiciousLists(lists);
+    } catch (error) {
+        console.error('Failed to load suspicious lists:', error);
+        showToast('Failed to load suspicious lists', 'error');
+    }
+}
+
+function restoreSuspiciousLists() {
+    if (!defaultSuspiciousLists) return;
+    fillSuspiciousLists(defaultSuspiciousLists);
+    showToast('Defaults restored, save to apply them');
+}
+
+async function handleSuspiciousListsSave() {
+    const lists = Object.fromEntries(Object.entries(SUSPICIOUS_LIST_FIELDS).map(([list, field]) =>
+        [list, readLines(document.getElementById(`suspicious${field}`))]
+    ));
+
+    try {
+        const result = await chrome.runtime.sendMessage({ type: 'SET_SUSPICIOUS_LISTS', lists });
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
+        showToast('Suspicious lists saved', 'success');
+        await loadSuspiciousLists();
+    } catch (error) {
+        console.error('Failed to save suspicious lists:', error);
+        showToast('Failed to save suspicious lists', 'error');
+    }
+}
+
+function describeListChanges(rule) {
+    const changes = Object.values(rule.suspiciousLists || {});
+    const added = changes.reduce((count, { add = [] }) => count + add.length, 0);
+    const removed = changes.reduce((count, { remove = [] }) => count + remove.length, 0);
+    if (added === 0 && removed === 0) return 'Global';
+    return [added > 0 && `+${added}`, removed > 0 && `-${removed}`].filter(Boolean).join(' ');
+}
+
+function openListEdit(rule) {
+    editingListsRule = rule;
+    document.getElementById('listEditRule').textContent = rule.label;
+    for (const [list, field] of Object.entries(SUSPICIOUS_LIST_FIELDS)) {
+        const { add = [], remove = [] } = rule.suspiciousLists?.[list] || {};
+        document.getElementById(`listEdit${field}`).value = [...add, ...remove.map(entry => `-${entry}`)].join('\n');
+    }
+    document.getElementById('listEdit').classList.add('visible');
+}
+
+function closeListEdit() {
+    editingListsRule = null;
+    document.getElementById('listEdit').classList.remove('visible');
+}
+
+async function handleListEditSave() {
+    if (!editingListsRule) return;
+    const rule = editingListsRule;
+
+    const changes = {};
+    for (const [list, field] of Object.entries(SUSPICIOUS_LIST_FIELDS)) {
+        const lines = readLines(document.getElementById(`listEdit${field}`));
+        changes[list] = {
+            add: lines.filter(line => !line.startsWith('-')),
+            remove: lines.filter(line => line.startsWith('-')).map(line => line.slice(1).trim())
+        };
+    }
+
+    try {
+        const result = await chrome.runtime.sendMessage({ type: 'SET_SITE_SUSPICIOUS_LISTS', label: rule.label, changes });
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
+        closeListEdit();
+        showToast(`Suspicious lists updated for ${rule.label}`, 'success');
+        await loadSettings();
+    } catch (error) {
+        console.error('Failed to set suspicious lists:', error);
+        showToast('Failed to update suspicious lists', 'error');
+    }
+}
+
+// ============================================
+// Learned Heartbeat Keys
+// ============================================
+
+function renderLearnedKeys(learnedKeys) {
+    const list = document.getElementById('learnedKeyList');
+    const entries = Object.keys(learnedKeys).sort()
+        .flatMap(hostname => learnedKeys[hostname].map(key => ({ hostname, key })));
+
+    list.innerHTML = '';
+    document.getElementById('learnedKeyTable').style.display = entries.length > 0 ? '' : 'none';
+    document.getElementById('learnedKeyListEmpty').style.display = entries.length > 0 ? 'none' : '';
+
+    for (const { hostname, key } of entries) {
+        const row = document.createElement('tr');
+
+        const siteCell = document.createElement('td');
+        siteCell.textContent = hostname;
+
+        const keyCell = document.createElement('td');
+        keyCell.className = 'site-rule';
+        keyCell.textContent = key;
+
+        const actionCell = document.createElement('td');
+        const removeButton = document.createElement('button');
+        removeButton.className = 'btn btn-link';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => handleRemoveLearnedKey(hostname, key));
+        actionCell.appendChild(removeButton);
+
+        row.append(siteCell, keyCell, actionCell);
+        list.appendChild(row);
+    }
+}
+
+async function handleRemoveLearnedKey(hostname, key) {
+    try {
+        await chrome.runtime.sendMessage({ type: 'REMOVE_LEARNED_KEY', hostname, key });
+        showToast(`Removed ${key}`, 'success');
+        await loadSettings();
+    } catch (error) {
+        console.error('Failed to remove learned key:', error);
+        showToast('Failed to remove key', 'error');
+    }
+}
+
+// ============================================
+// Bulk Edit
+// ============================================
+
+function openBulkEdit() {
+    document.getElementById('bulkEditText').value = siteRules.map(rule => rule.label).join('\n');
+    document.getElementById('bulkEdit').classList.add('visible');
+}
+
+function closeBulkEdit() {
+    document.getElementById('bulkEdit').classList.remove('visible');
+}
+
+async function handleBulkSave() {
+    const rules = document.getElementById('bulkEditText').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    try {
+        const result = await chrome.runtime.sendMessage({ type: 'SET_SITE_RULES', rules });
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
+        closeBulkEdit();
+        showToast('Site list saved', 'success');
+        await loadSettings();
+    } catch (error) {
+        console.error('Failed to save site list:', error);
+        showToast('Failed to save site list', 'error');
+    }
+}
+
+// ============================================
+// Blocked Event History
+// ============================================
+
+function getEventFilter() {
+    const filter = {};
+    const hostname = document.getElementById('eventHostname').value.trim();
+    const mechanism = document.getElementById('eventMechanism').value;
+    const search = document.getElementById('eventSearch').value.trim();
+    if (hostname) filter.hostname = hostname;
+    if (mechanism) filter.mechanism = mechanism;
+    if (search) filter.search = search;
+    return filter;
+}
+
+async function loadEvents() {
+    try {
+        const { events, total, mechanisms } = await chrome.runtime.sendMessage({
+            type: 'GET_BLOCKED_EVENTS',
+            filter: getEventFilter(),
+            limit: EVENT_PAGE_SIZE
+        });
+        renderMechanismOptions(mechanisms);
+        renderEvents(events);
+        document.getElementById('eventCount').textContent =
+            total > events.length ? `Showing ${events.length} of ${total}` : `${total} events`;
+    } catch (error) {
+        console.error('Failed to load events:', error);
+        showToast('Failed to load blocked events', 'error');
+    }
+}
+
+function renderMechanismOptions(mechanisms) {
+    const select = document.getElementById('eventMechanism');
+    const selected = select.value;
+    const known = new Set([...select.options].map(option => option.value));
+
+    for (const mechanism of mechanisms) {
+        if (known.has(mechanism)) continue;
+        const option = document.createElement('option');
+        option.value = mechanism;
+        option.textContent = mechanism;
+        select.appendChild(option);
+    }
+    select.value = selected;
+}
+
+function renderEvents(events) {
+    const list = document.getElementById('eventList');
+    document.getElementById('eventTable').style.display = events.length > 0 ? '' : 'none';
+    document.getElementById('eventListEmpty').style.display = events.length > 0 ? 'none' : '';
+
+    list.innerHTML = '';
+    for (const event of events) {
+        const row = document.createElement('tr');
+        const cells = [
+            [new Date(event.timestamp).toLocaleString(), 'event-time'],
+            [event.hostname, ''],
+            [event.mechanism, ''],
+            [event.target, 'event-target'],
+            [event.action, '']
+        ];
+        for (const [text, className] of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (className) cell.className = className;
+            row.appendChild(cell);
+        }
+        row.title = `Tab ${event.tabId ?? '?'}, frame ${event.frameId ?? '?'}\n${event.url || ''}`;
+        list.appendChild(row);
+    }
+}
+
+async function handleClearEvents() {
+    const filter = getEventFilter();
+    const filtered = Object.keys(filter).length > 0;
+
+    try {
+        await chrome.runtime.sendMessage({ type: 'CLEAR_BLOCKED_EVENTS', filter: filtered ? filter : null });
+        showToast(filtered ? 'Matching events cleared' : 'Event history cleared', 'success');
+        await loadEvents();
+    } catch (error) {
+        console.error('Failed to clear events:', error);
+        showToast('Failed to clear events', 'error');
+    }
+}
+
+// ============================================
+// Import / Export
+// ============================================
+
+async function handleExport() {
+    try {
+        const data = await chrome.runtime.sendMessage({ type: 'EXPORT_SETTINGS' });
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `redirect-blocker-settings-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showToast('Settings exported', 'success');
+    } catch (error) {
+        console.error('Failed to export settings:', error);
+        showToast('Failed to export settings', 'error');
+    }
+}
+
+async function handleImportFile(event) {
+    const file = event.target.files[0];
+    const importButton = document.getElementById('importButton');
+    importData = null;
+    importButton.disabled = true;
+    document.getElementById('importFileName').textContent = file ? file.name : 'No file selected';
+    if (!file) return;
+
+    try {
+        importData = JSON.parse(await file.text());
+        importButton.disabled = false;
+    } catch (error) {
+        showToast('File is not valid JSON', 'error');
+    }
+}
+
+async function handleImport() {
+    if (!importData) return;
+    const strategy = document.querySelector('input[name="importStrategy"]:checked').value;
+
+    try {
+        const result = await chrome.runtime.sendMessage({ type: 'IMPORT_SETTINGS', data: importData, strategy });
+        if (!result.success) {
+            showToast(`Import failed: ${result.error}`, 'error');
+            return;
+        }
+        showToast(`Settings imported (${result.siteCount} sites)`, 'success');
+        await loadSettings();
+        await loadSuspiciousLists();
+    } catch (error) {
+        console.error('Failed to import settings:', error);
+        showToast('Failed to import settings', 'error');
+    }
+}
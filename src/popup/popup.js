@@ -8,6 +8,8 @@ document.addEventListener('DOMContentLoaded', init);
 
 let currentTab = null;
 let currentHostname = null;
+let currentRule = null;
+let profileInfo = null;
 let toastTimeout = null;
 
 // ============================================
@@ -61,6 +63,7 @@ async function init() {
     }
 
     // Load current settings
+    profileInfo = await chrome.runtime.sendMessage({ type: 'GET_PROFILES' });
     await loadSettings();
     await loadStatistics();
 
@@ -69,7 +72,16 @@ async function init() {
     });
     const siteToggle = document.getElementById('siteToggle');
     if (siteToggle) siteToggle.addEventListener('change', handleSiteToggle);
+    const profileSelect = document.getElementById('profileSelect');
+    if (profileSelect) profileSelect.addEventListener('change', handleProfileChange);
+    const serverRedirectGuard = document.getElementById('serverRedirectGuard');
+    if (serverRedirectGuard) serverRedirectGuard.addEventListener('change', handleServerRedirectGuardToggle);
+    const useDefaultDestinations = document.getElementById('useDefaultDestinations');
+    if (useDefaultDestinations) useDefaultDestinations.addEventListener('change', handleTrustedDestinationsSave);
+    const saveDestinations = document.getElementById('saveDestinations');
+    if (saveDestinations) saveDestinations.addEventListener('click', handleTrustedDestinationsSave);
     document.getElementById('resetStats').addEventListener('click', handleResetStats);
+    document.getElementById('openOptions').addEventListener('click', () => chrome.runtime.openOptionsPage());
 }
 
 async function loadSettings() {
@@ -84,11 +96,11 @@ async function loadSettings() {
         updateSiteSectionVisibility(settings.mode);
 
         // Load site-specific state
-        if (settings.mode === 'specific') {
+        if (settings.mode === 'specific' && currentTab?.url) {
+            const { enabled, rule } = await chrome.runtime.sendMessage({ type: 'IS_SITE_ENABLED', url: currentTab.url });
             const siteToggle = document.getElementById('siteToggle');
-            const siteEnabled = settings.enabledSites.includes(currentHostname);
-            if (siteToggle) siteToggle.checked = siteEnabled;
-            updateSiteStatus(siteEnabled);
+            if (siteToggle) siteToggle.checked = enabled;
+            updateSiteStatus(enabled, rule);
         }
     } catch (error) {
         console.error('Failed to load settings:', error);
@@ -118,11 +130,20 @@ function updateSiteSectionVisibility(mode) {
     if (siteSection) siteSection.style.display = mode === 'specific' ? 'block' : 'none';
 }
 
-function updateSiteStatus(enabled) {
+function updateSiteStatus(enabled, rule = null) {
+    currentRule = rule;
+    renderProfile(rule);
+
     const statusEl = document.getElementById('siteStatus');
+    const subdomainsCheckbox = document.getElementById('includeSubdomains');
+    if (subdomainsCheckbox) {
+        // The option only applies when creating a rule for this site
+        subdomainsCheckbox.checked = Boolean(rule?.includeSubdomains);
+        subdomainsCheckbox.disabled = enabled;
+    }
     if (!statusEl) return;
     if (enabled) {
-        statusEl.textContent = 'Protected';
+        statusEl.textContent = rule ? `Protected by rule: ${rule.label}` : 'Protected';
         statusEl.classList.add('active');
     } else {
         statusEl.textContent = 'Not protected';
@@ -150,16 +171,20 @@ async function handleModeChange(event) {
 
 async function handleSiteToggle() {
     const enabled = document.getElementById('siteToggle').checked;
+    const includeSubdomains = document.getElementById('includeSubdomains')?.checked || false;
 
     try {
         if (enabled) {
-            await chrome.runtime.sendMessage({ type: 'ENABLE_FOR_SITE', url: currentTab.url });
+            await chrome.runtime.sendMessage({ type: 'ENABLE_FOR_SITE', url: currentTab.url, includeSubdomains });
             showToast(`Protection enabled for ${currentHostname}`, 'success');
         } else {
             await chrome.runtime.sendMessage({ type: 'DISABLE_FOR_SITE', url: currentTab.url });
             showToast(`Protection disabled for ${currentHostname}`, 'success');
         }
-        updateSiteStatus(enabled);
+        // A broader rule (e.g. *.example.com) may still cover this site
+        const { rule } = await chrome.runtime.sendMessage({ type: 'IS_SITE_ENABLED', url: currentTab.url });
+        document.getElementById('siteToggle').checked = Boolean(rule);
+        updateSiteStatus(Boolean(rule), rule);
 
         // Delay reload slightly so user sees the toast
         if (currentTab?.id) {
@@ -172,6 +197,152 @@ async function handleSiteToggle() {
     }
 }
 
+// ============================================
+// Protection Profile
+// ============================================
+
+function renderProfile(rule) {
+    const profileEl = document.getElementById('siteProfile');
+    const select = document.getElementById('profileSelect');
+    const moduleList = document.getElementById('moduleList');
+    if (!profileEl || !select || !moduleList || !profileInfo) return;
+
+    profileEl.classList.toggle('visible', Boolean(rule));
+    if (!rule) return;
+
+    select.innerHTML = '';
+    const options = { ...profileInfo.profiles, custom: { name: 'Custom' } };
+    for (const [id, profile] of Object.entries(options)) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+    }
+    select.value = rule.profile;
+
+    const guardCheckbox = document.getElementById('serverRedirectGuard');
+    if (guardCheckbox) guardCheckbox.checked = Boolean(rule.serverRedirectGuard);
+
+    const defaultsCheckbox = document.getElementById('useDefaultDestinations');
+    if (defaultsCheckbox) defaultsCheckbox.checked = rule.useDefaultDestinations !== false;
+    const destinations = document.getElementById('trustedDestinations');
+    if (destinations) destinations.value = (rule.trustedDestinations || []).join('\n');
+
+    moduleList.innerHTML = '';
+    for (const [id, name] of Object.entries(profileInfo.modules)) {
+        const label = document.createElement('label');
+        label.className = 'site-option';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = id;
+        checkbox.checked = rule.modules.includes(id);
+        checkbox.addEventListener('change', handleModuleToggle);
+
+        const text = document.createElement('span');
+        text.textContent = name;
+
+        label.append(checkbox, text);
+        moduleList.appendChild(label);
+    }
+}
+
+async function applyProfile(profile, modules) {
+    try {
+        const { success } = await chrome.runtime.sendMessage({
+            type: 'SET_SITE_PROFILE',
+            url: currentTab.url,
+            profile,
+            modules
+        });
+        if (!success) throw new Error('Profile not applied');
+
+        const { rule } = await chrome.runtime.sendMessage({ type: 'IS_SITE_ENABLED', url: currentTab.url });
+        updateSiteStatus(Boolean(rule), rule);
+        showToast(`Profile updated for ${rule.label}`, 'success');
+
+        // Delay reload slightly so user sees the toast
+        if (currentTab?.id) {
+            setTimeout(() => chrome.tabs.reload(currentTab.id), 300);
+        }
+    } catch (error) {
+        console.error('Failed to set profile:', error);
+        showToast('Failed to update profile', 'error');
+        renderProfile(currentRule);
+    }
+}
+
+async function handleProfileChange(event) {
+    const profile = event.target.value;
+    // Switching to custom starts from the modules that are currently enabled
+    await applyProfile(profile, profile === 'custom' ? currentRule.modules : undefined);
+}
+
+async function handleModuleToggle(event) {
+    // Alternative implementations (e.g. BroadcastChannel stub vs. single-tab illusion) are exclusive
+    if (event.target.checked) {
+        for (const [id, replaced] of Object.entries(profileInfo.replacements || {})) {
+            const other = event.target.value === id ? replaced : event.target.value === replaced ? id : null;
+            const otherCheckbox = other && document.querySelector(`#moduleList input[value="${other}"]`);
+            if (otherCheckbox) otherCheckbox.checked = false;
+        }
+    }
+
+    const modules = [...document.querySelectorAll('#moduleList input:checked')].map(input => input.value);
+    await applyProfile('custom', modules);
+}
+
+async function handleServerRedirectGuardToggle(event) {
+    const enabled = event.target.checked;
+
+    try {
+        const { success } = await chrome.runtime.sendMessage({
+            type: 'SET_SERVER_REDIRECT_GUARD',
+            url: currentTab.url,
+            enabled
+        });
+        if (!success) throw new Error('Guard not applied');
+        currentRule = { ...currentRule, serverRedirectGuard: enabled };
+        showToast(`Server redirect guard ${enabled ? 'enabled' : 'disabled'}`, 'success');
+    } catch (error) {
+        console.error('Failed to set server redirect guard:', error);
+        showToast('Failed to update server redirect guard', 'error');
+        event.target.checked = !enabled;
+    }
+}
+
+async function handleTrustedDestinationsSave() {
+    const defaultsCheckbox = document.getElementById('useDefaultDestinations');
+    const textarea = document.getElementById('trustedDestinations');
+    const destinations = textarea.value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    try {
+        const result = await chrome.runtime.sendMessage({
+            type: 'SET_TRUSTED_DESTINATIONS',
+            url: currentTab.url,
+            destinations,
+            useDefaults: defaultsCheckbox.checked
+        });
+        if (!result.success) {
+            showToast(result.error, 'error');
+            return;
+        }
+
+        // Show the entries as stored (normalized, without duplicates)
+        const { rule } = await chrome.runtime.sendMessage({ type: 'IS_SITE_ENABLED', url: currentTab.url });
+        currentRule = rule;
+        textarea.value = (rule.trustedDestinations || []).join('\n');
+        showToast('Trusted destinations saved', 'success');
+    } catch (error) {
+        console.error('Failed to set trusted destinations:', error);
+        showToast('Failed to update trusted destinations', 'error');
+        defaultsCheckbox.checked = currentRule?.useDefaultDestinations !== false;
+    }
+}
+
 async function handleResetStats() {
     try {
         await chrome.runtime.sendMessage({ type: 'RESET_STATISTICS' });
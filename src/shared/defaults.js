@@ -0,0 +1,55 @@
+/**
+ * Redirect Blocker - Built-in Defaults
+ *
+ * The single definition of the built-in lists. The service worker imports
+ * this file; the blocker content script starts with it, so the modules have
+ * the same lists before the page configuration arrives (blocker.js takes
+ * them and removes the global again before any page script runs).
+ *
+ * Plain script, no exports: it has to run as a content script as well.
+ */
+
+Object.defineProperty(self, '__redirectBlockerDefaults__', {
+    value: {
+        // Identity providers that sites commonly hand off to for sign-in.
+        // Cross-origin redirects to these are trusted on every site unless
+        // its rule opts out.
+        trustedDestinations: [
+            'accounts.google.com',
+            'login.microsoftonline.com',
+            'login.live.com',
+            'login.windows.net',
+            '*.b2clogin.com',
+            '*.okta.com',
+            '*.oktapreview.com',
+            '*.auth0.com',
+            '*.onelogin.com',
+            'appleid.apple.com',
+            '*.amazoncognito.com',
+            'github.com/login/*'
+        ],
+
+        // What the blocker treats as signs of tab detection
+        suspiciousLists: {
+            // Redirect targets: each path and everything below it ('/' is only the homepage)
+            paths: ['/', '/login', '/signin', '/auth', '/home', '/index', '/logout', '/signout'],
+            // Storage keys and cookie names containing an entry ('-', '_' and
+            // case ignored); '=' entries must match the whole name: 'tab' and
+            // 'tabs' are too generic otherwise, but suspicious alone (e.g. a
+            // `tabs=3` cookie)
+            keys: [
+                'tabactive', 'tab_active', 'activetab', 'active_tab',
+                'tabcount', 'tab_count', 'opentabs', 'open_tabs',
+                'tabid', 'tab_id', 'tabsession', 'tab_session',
+                'multipleinstances', 'multiple_instances',
+                'singleinstance', 'single_instance',
+                'tabcheck', 'tab_check', 'tabheartbeat', 'tab_heartbeat',
+                '=tab', '=tabs'
+            ],
+            // BroadcastChannel names stubbed or isolated; a trailing '*'
+            // matches by prefix, so '*' alone covers every channel
+            channels: ['*']
+        }
+    },
+    configurable: true
+});